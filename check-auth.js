@@ -0,0 +1,142 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+
+// Checks that the auth middleware turns away missing, malformed, expired,
+// foreign and under-privileged tokens, and lets valid ones through:
+//
+//   npm test
+//
+// Runs against a throwaway secret, so no Supabase project or .env is needed.
+process.env.SUPABASE_JWT_SECRET = 'check-auth-secret';
+const { optionalAuth, requireAuth, requireRole, signToken } = require('./lib/auth');
+
+// Run middleware (or a list of it, as requireRole returns) against a request
+// with the given Authorization header. Resolves to { status, body, user, passed }.
+function run(middleware, authorization) {
+  const req = { headers: authorization ? { authorization } : {} };
+  const outcome = { status: 200, body: null, passed: false };
+  const res = {
+    status(code) { outcome.status = code; return res; },
+    json(body) { outcome.body = body; return res; }
+  };
+
+  const chain = [].concat(middleware);
+  const step = index => {
+    if (index === chain.length) {
+      outcome.passed = true;
+      return;
+    }
+    chain[index](req, res, () => step(index + 1));
+  };
+  step(0);
+  return { ...outcome, user: req.user };
+}
+
+const bearer = token => `Bearer ${token}`;
+
+const CHECKS = [
+  ['requireAuth rejects a request without a token', () => {
+    const result = run(requireAuth);
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth rejects a non-bearer Authorization header', () => {
+    const result = run(requireAuth, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth rejects an expired token', () => {
+    const result = run(requireAuth, bearer(signToken({ userId: 'user-1', expiresIn: -60 })));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.error, 'Invalid or expired token');
+    assert.match(result.body.message, /expired/);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth rejects a token signed with another secret', () => {
+    const token = jwt.sign({ sub: 'user-1', app_metadata: { roles: ['admin'] } }, 'some-other-secret', { algorithm: 'HS256' });
+    const result = run(requireAuth, bearer(token));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth rejects an unsigned token', () => {
+    const token = jwt.sign({ sub: 'user-1' }, null, { algorithm: 'none' });
+    const result = run(requireAuth, bearer(token));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth rejects a token without a subject', () => {
+    const token = jwt.sign({ email: 'someone@example.com' }, process.env.SUPABASE_JWT_SECRET, { algorithm: 'HS256' });
+    const result = run(requireAuth, bearer(token));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireAuth accepts a valid token and sets req.user', () => {
+    const result = run(requireAuth, bearer(signToken({ userId: 'user-1', email: 'someone@example.com' })));
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(result.user, { id: 'user-1', email: 'someone@example.com', roles: [] });
+  }],
+
+  ['requireRole rejects a request without a token', () => {
+    const result = run(requireRole('admin'));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireRole rejects an expired token', () => {
+    const result = run(requireRole('admin'), bearer(signToken({ userId: 'admin-1', roles: ['admin'], expiresIn: -60 })));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireRole rejects a user without the role', () => {
+    const result = run(requireRole('admin'), bearer(signToken({ userId: 'user-1', roles: ['viewer'] })));
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(result.body.error, 'Requires admin role');
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireRole ignores the top-level role claim', () => {
+    const token = jwt.sign({ sub: 'user-1', role: 'admin' }, process.env.SUPABASE_JWT_SECRET, { algorithm: 'HS256' });
+    const result = run(requireRole('admin'), bearer(token));
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(result.passed, false);
+  }],
+
+  ['requireRole accepts a user with the role', () => {
+    const result = run(requireRole('admin'), bearer(signToken({ userId: 'admin-1', roles: ['admin'] })));
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(result.user.roles, ['admin']);
+  }],
+
+  ['optionalAuth lets anonymous requests through', () => {
+    const result = run(optionalAuth);
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(result.user, null);
+  }],
+
+  ['optionalAuth still rejects an expired token', () => {
+    const result = run(optionalAuth, bearer(signToken({ userId: 'user-1', expiresIn: -60 })));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.passed, false);
+  }]
+];
+
+let failed = 0;
+for (const [name, check] of CHECKS) {
+  try {
+    check();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`FAILED - ${name}\n    ${err.message.split('\n').join('\n    ')}`);
+  }
+}
+
+console.log(`\n${CHECKS.length - failed}/${CHECKS.length} auth checks passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,58 @@
+const assert = require('assert');
+
+// Checks that invoice numbers written differently by the same vendor match
+// for duplicate detection and credit memo linking:
+//
+//   npm test
+//
+// lib/duplicates.js loads the Supabase client, which needs a URL and key to
+// be created but isn't called here.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'check-invoice-numbers';
+const { normalizeInvoiceNumber } = require('./lib/duplicates');
+
+const SAME = [
+  ['INV-000123', 'inv 123'],
+  ['INV-000123', 'INV123'],
+  ['000123', '123'],
+  ['148203377-0004', '148203377-4'],
+  ['148203377-0004', '148203377 04'],
+  ['A-0012-0003', 'a 12 3']
+];
+
+const DIFFERENT = [
+  ['INV-1000', 'INV-1'],
+  ['INV-120', 'INV-12'],
+  ['148203377-0004', '148203377-0005'],
+  ['A-123', 'B-123']
+];
+
+const CHECKS = [
+  ...SAME.map(([a, b]) => [`"${a}" matches "${b}"`, () => {
+    assert.strictEqual(normalizeInvoiceNumber(a), normalizeInvoiceNumber(b));
+  }]),
+  ...DIFFERENT.map(([a, b]) => [`"${a}" does not match "${b}"`, () => {
+    assert.notStrictEqual(normalizeInvoiceNumber(a), normalizeInvoiceNumber(b));
+  }]),
+  ['an all-zero number keeps a zero', () => {
+    assert.strictEqual(normalizeInvoiceNumber('INV-0000'), 'INV0');
+  }],
+  ['a missing number normalizes to null', () => {
+    assert.strictEqual(normalizeInvoiceNumber(null), null);
+    assert.strictEqual(normalizeInvoiceNumber(' - '), null);
+  }]
+];
+
+let failed = 0;
+for (const [name, check] of CHECKS) {
+  try {
+    check();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`FAILED - ${name}\n    ${err.message.split('\n').join('\n    ')}`);
+  }
+}
+
+console.log(`\n${CHECKS.length - failed}/${CHECKS.length} invoice number checks passed`);
+process.exit(failed > 0 ? 1 : 0);
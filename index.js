@@ -1,20 +1,37 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
 const express = require('express');
 const multer = require('multer');
-const OpenAI = require('openai');
 const { parse: csvParse } = require('csv-parse/sync');
 const cheerio = require('cheerio');
 const axios = require('axios');
+const supabase = require('./lib/supabase');
+const openai = require('./lib/openai');
+const { processInvoice } = require('./lib/pipeline');
+const { createParseJob, createReprocessJob, getParseJob, runPendingJobs, startJobWorker, inlineJobWorker } = require('./lib/jobs');
+const { parseBatch } = require('./lib/batch');
+const { optionalAuth, requireAuth, requireRole } = require('./lib/auth');
+const { searchInvoices, fetchAllInvoices } = require('./lib/invoices');
+const { invoicesTable, equipmentLinesTable, toCsv, toXlsx } = require('./lib/export');
+const { toIif, toApCsv, checkApColumns } = require('./lib/accounting');
+const { getSpendAnalytics } = require('./lib/analytics');
+const { runToolCalls, toolDefinitions, toolStatusMessage } = require('./lib/tools');
+const { correctInvoice, getInvoiceAuditLog } = require('./lib/corrections');
+const { getSourceDocument } = require('./lib/storage');
+const { checkReprocessFilters } = require('./lib/reprocess');
+const { getBillingIssues } = require('./lib/overlaps');
+const { listVendors, createVendor, updateVendor, listVendorReviews, resolveVendorReview } = require('./lib/vendors');
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// Uploads are held in memory, so their size and number are capped
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+const MAX_BATCH_FILES = 200;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_BATCH_FILES } });
 
 // CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -23,9 +40,6 @@ app.use((req, res, next) => {
 
 app.use(express.json({ limit: '50mb' }));
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 const RATE_DADDY_ASSISTANT_ID = 'asst_R55kgv1l6zAQsmuCgYCDpj8k';
 
 // Health check
@@ -45,129 +59,50 @@ app.get('/test-db', async (req, res) => {
 });
 
 // ==========================================
-// HELPER FUNCTIONS
+// CHAT ENDPOINTS
 // ==========================================
-async function searchInvoices(userId, query, filters = {}) {
-  try {
-    if (!userId) return { error: 'User not logged in', invoices: [] };
-
-    let dbQuery = supabase
-      .from('parsed_invoices')
-      .select('id, vendor_name, invoice_number, invoice_date, po_number, job_site, customer_name, rental_subtotal, freight, fees_total, tax, total, fee_percentage, equipment')
-      .eq('user_id', userId)
-      .order('invoice_date', { ascending: false });
-
-    if (filters.vendor) dbQuery = dbQuery.ilike('vendor_name', `%${filters.vendor}%`);
-    if (filters.date_from) dbQuery = dbQuery.gte('invoice_date', filters.date_from);
-    if (filters.date_to) dbQuery = dbQuery.lte('invoice_date', filters.date_to);
-    if (query) dbQuery = dbQuery.or(`invoice_number.ilike.%${query}%,po_number.ilike.%${query}%,job_site.ilike.%${query}%,vendor_name.ilike.%${query}%,customer_name.ilike.%${query}%`);
-
-    const { data, error } = await dbQuery.limit(10);
-    if (error) return { error: error.message, invoices: [] };
-    return { invoices: data || [] };
-  } catch (err) {
-    return { error: err.message, invoices: [] };
+// Create or reuse the thread and post the user's message with the login context
+async function prepareChatThread({ threadId, message, userId, isLoggedIn }) {
+  let thread;
+  if (threadId) {
+    thread = { id: threadId };
+  } else {
+    thread = await openai.beta.threads.create();
+    console.log('[/chat] Created new thread:', thread.id);
   }
-}
-
-async function getInvoiceDetails(userId, invoiceId) {
-  try {
-    if (!userId) return { error: 'User not logged in' };
-    const { data, error } = await supabase
-      .from('parsed_invoices')
-      .select('*')
-      .eq('id', invoiceId)
-      .eq('user_id', userId)
-      .single();
-    if (error) return { error: error.message };
-    return { invoice: data };
-  } catch (err) {
-    return { error: err.message };
-  }
-}
-
-async function getSavingsSummary(userId, dateRange = {}) {
-  try {
-    if (!userId) return { error: 'User not logged in' };
-
-    let query = supabase
-      .from('parsed_invoices')
-      .select('id, invoice_date, vendor_name, market_savings, fee_percentage, fees_total, rental_subtotal')
-      .eq('user_id', userId);
-
-    if (dateRange.from) query = query.gte('invoice_date', dateRange.from);
-    if (dateRange.to) query = query.lte('invoice_date', dateRange.to);
 
-    const { data, error } = await query;
-    if (error) return { error: error.message };
+  const contextPrefix = isLoggedIn 
+    ? `[SYSTEM CONTEXT: User is logged in. user_id: ${userId}. Dashboard mode.]\n\n`
+    : `[SYSTEM CONTEXT: User is NOT logged in. Landing page mode.]\n\n`;
 
-    const totalInvoices = data?.length || 0;
-    const totalMarketSavings = data?.reduce((sum, inv) => sum + (parseFloat(inv.market_savings) || 0), 0) || 0;
-    const totalFees = data?.reduce((sum, inv) => sum + (parseFloat(inv.fees_total) || 0), 0) || 0;
-    const totalRental = data?.reduce((sum, inv) => sum + (parseFloat(inv.rental_subtotal) || 0), 0) || 0;
-    const avgFeePercentage = totalRental > 0 ? (totalFees / totalRental) * 100 : 0;
+  await openai.beta.threads.messages.create(thread.id, {
+    role: 'user',
+    content: contextPrefix + message
+  });
 
-    const topSavings = data?.filter(inv => inv.market_savings > 0)?.sort((a, b) => b.market_savings - a.market_savings)?.slice(0, 5) || [];
+  return thread;
+}
 
-    return {
-      summary: {
-        total_invoices: totalInvoices,
-        total_potential_savings: totalMarketSavings.toFixed(2),
-        total_fees_paid: totalFees.toFixed(2),
-        total_rental_spend: totalRental.toFixed(2),
-        average_fee_percentage: avgFeePercentage.toFixed(1)
-      },
-      top_savings_opportunities: topSavings
-    };
-  } catch (err) {
-    return { error: err.message };
-  }
+function clientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || req.ip || 'unknown';
 }
 
-async function saveGiveawayEntry(email, prizeVote, ipAddress) {
-  try {
-    if (!email) return { error: 'Email is required' };
-    
-    const referralCode = Math.random().toString(36).substring(2, 10).toUpperCase();
-    
-    const { data, error } = await supabase
-      .from('referrals')
-      .insert({
-        email: email,
-        referral_code: referralCode,
-        prize_vote: prizeVote,
-        referral_count: 0,
-        entered_drawing: true,
-        ip_address: ipAddress || null
-      })
-      .select()
-      .single();
-    
-    if (error) {
-      if (error.code === '23505') {
-        const { data: existing } = await supabase
-          .from('referrals')
-          .select('referral_code')
-          .eq('email', email)
-          .single();
-        return { success: true, referral_code: existing?.referral_code, message: 'Already registered' };
-      }
-      return { error: error.message };
-    }
-    
-    return { success: true, referral_code: referralCode };
-  } catch (err) {
-    return { error: err.message };
-  }
+async function logChat({ userId, threadId, message, responseText, isLoggedIn }) {
+  await supabase.from('chat_logs').insert({
+    user_id: userId || null,
+    thread_id: threadId,
+    user_message: message,
+    assistant_response: responseText,
+    is_logged_in: isLoggedIn,
+    mode: isLoggedIn ? 'dashboard' : 'landing'
+  });
 }
-    
 
-// ==========================================
-// CHAT ENDPOINT
-// ==========================================
-app.post('/chat', async (req, res) => {
+app.post('/chat', optionalAuth, async (req, res) => {
   try {
-    const { message, threadId, userId, isLoggedIn } = req.body;
+    const { message, threadId } = req.body;
+    const userId = req.user ? req.user.id : null;
+    const isLoggedIn = !!req.user;
 
     if (!message) {
       return res.status(400).json({ error: 'No message provided' });
@@ -178,22 +113,7 @@ app.post('/chat', async (req, res) => {
     console.log('[/chat] User:', userId || 'anonymous');
     console.log('[/chat] Logged in:', isLoggedIn);
 
-    let thread;
-    if (threadId) {
-      thread = { id: threadId };
-    } else {
-      thread = await openai.beta.threads.create();
-      console.log('[/chat] Created new thread:', thread.id);
-    }
-
-    const contextPrefix = isLoggedIn 
-      ? `[SYSTEM CONTEXT: User is logged in. user_id: ${userId}. Dashboard mode.]\n\n`
-      : `[SYSTEM CONTEXT: User is NOT logged in. Landing page mode.]\n\n`;
-
-    await openai.beta.threads.messages.create(thread.id, {
-      role: 'user',
-      content: contextPrefix + message
-    });
+    const thread = await prepareChatThread({ threadId, message, userId, isLoggedIn });
 
     const run = await openai.beta.threads.runs.create(thread.id, {
       assistant_id: RATE_DADDY_ASSISTANT_ID
@@ -212,28 +132,7 @@ app.post('/chat', async (req, res) => {
         const toolCalls = runStatus.required_action?.submit_tool_outputs?.tool_calls;
         
         if (toolCalls) {
-          const toolOutputs = [];
-
-          for (const toolCall of toolCalls) {
-            console.log('[/chat] Tool call:', toolCall.function.name);
-            const args = JSON.parse(toolCall.function.arguments);
-
-            if (toolCall.function.name === 'search_invoices') {
-              const result = await searchInvoices(args.user_id || userId, args.query, args.filters);
-              toolOutputs.push({ tool_call_id: toolCall.id, output: JSON.stringify(result) });
-            } else if (toolCall.function.name === 'get_invoice_details') {
-              const result = await getInvoiceDetails(args.user_id || userId, args.invoice_id);
-              toolOutputs.push({ tool_call_id: toolCall.id, output: JSON.stringify(result) });
-            } else if (toolCall.function.name === 'get_savings_summary') {
-              const result = await getSavingsSummary(args.user_id || userId, args.date_range);
-              toolOutputs.push({ tool_call_id: toolCall.id, output: JSON.stringify(result) });
-            } else if (toolCall.function.name === 'save_giveaway_entry') {
-              const userIP = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || req.ip || 'unknown';
-              const result = await saveGiveawayEntry(args.email, args.prize_vote, userIP);
-              toolOutputs.push({ tool_call_id: toolCall.id, output: JSON.stringify(result) });
-            }
-          }
-
+          const toolOutputs = await runToolCalls(toolCalls, { userId, ipAddress: clientIp(req) });
           await openai.beta.threads.runs.submitToolOutputs(thread.id, run.id, { tool_outputs: toolOutputs });
         }
       }
@@ -257,14 +156,7 @@ app.post('/chat', async (req, res) => {
     const responseText = assistantMessage.content[0]?.text?.value || '';
 
     // Log the conversation to Supabase
-    await supabase.from('chat_logs').insert({
-      user_id: userId || null,
-      thread_id: thread.id,
-      user_message: message,
-      assistant_response: responseText,
-      is_logged_in: isLoggedIn || false,
-      mode: isLoggedIn ? 'dashboard' : 'landing'
-    });
+    await logChat({ userId, threadId: thread.id, message, responseText, isLoggedIn });
 
     res.json({
       success: true,
@@ -278,14 +170,129 @@ app.post('/chat', async (req, res) => {
   }
 });
 
+// POST /chat/stream - Same request as /chat, answered as Server-Sent Events:
+//   thread       { threadId }                 as soon as the thread exists
+//   token        { text }                     each chunk of the assistant's reply
+//   tool_status  { tool, status, message }    when a tool starts and finishes
+//   done         { threadId, response }       once the run completes
+//   error        { error, status? }           if the run fails
+app.post('/chat/stream', optionalAuth, async (req, res) => {
+  const { message, threadId } = req.body;
+  const userId = req.user ? req.user.id : null;
+  const isLoggedIn = !!req.user;
+
+  if (!message) {
+    return res.status(400).json({ error: 'No message provided' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let stream = null;
+  let nextStream = null;
+  // The run still going on the assistant's side, as { threadId, runId }
+  let activeRun = null;
+  // Stop reading from the assistant as soon as the client goes away, and cancel
+  // the run so the thread is free for the next message
+  res.on('close', () => {
+    closed = true;
+    if (stream) stream.abort();
+    if (nextStream) nextStream.abort();
+    if (activeRun) {
+      openai.beta.threads.runs.cancel(activeRun.threadId, activeRun.runId)
+        .catch(err => console.log('[/chat/stream] Could not cancel run:', err.message));
+      activeRun = null;
+    }
+  });
+  const clientGone = () => closed || req.aborted || res.writableEnded;
+
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    console.log('[/chat/stream] Message:', message);
+    console.log('[/chat/stream] User:', userId || 'anonymous');
+
+    const thread = await prepareChatThread({ threadId, message, userId, isLoggedIn });
+    send('thread', { threadId: thread.id });
+
+    if (clientGone()) return;
+    let responseText = '';
+    stream = openai.beta.threads.runs.stream(thread.id, { assistant_id: RATE_DADDY_ASSISTANT_ID });
+
+    // Each tool round ends the current stream; submitting outputs opens the next one
+    while (stream && !clientGone()) {
+      nextStream = null;
+
+      for await (const event of stream) {
+        if (event.event === 'thread.run.created') {
+          activeRun = { threadId: thread.id, runId: event.data.id };
+        } else if (event.event === 'thread.run.completed') {
+          activeRun = null;
+        } else if (event.event === 'thread.message.delta') {
+          for (const part of event.data.delta.content || []) {
+            if (part.type === 'text' && part.text?.value) {
+              responseText += part.text.value;
+              send('token', { text: part.text.value });
+            }
+          }
+        } else if (event.event === 'thread.run.requires_action') {
+          const toolCalls = event.data.required_action?.submit_tool_outputs?.tool_calls || [];
+          for (const toolCall of toolCalls) {
+            const tool = toolCall.function.name;
+            send('tool_status', { tool, status: 'running', message: toolStatusMessage(tool) });
+          }
+
+          const toolOutputs = await runToolCalls(toolCalls, { userId, ipAddress: clientIp(req) });
+          // Nobody is listening for the answer; the close handler has cancelled the run
+          if (clientGone()) break;
+          for (const toolCall of toolCalls) {
+            send('tool_status', { tool: toolCall.function.name, status: 'done' });
+          }
+
+          nextStream = openai.beta.threads.runs.submitToolOutputsStream(thread.id, event.data.id, { tool_outputs: toolOutputs });
+        } else if (['thread.run.failed', 'thread.run.cancelled', 'thread.run.expired'].includes(event.event)) {
+          activeRun = null;
+          send('error', { error: 'Assistant run failed', status: event.data.status });
+          return res.end();
+        }
+      }
+
+      stream = nextStream;
+    }
+
+    if (clientGone()) return;
+
+    await logChat({ userId, threadId: thread.id, message, responseText, isLoggedIn });
+
+    send('done', { threadId: thread.id, response: responseText });
+    res.end();
+  } catch (error) {
+    console.error('[/chat/stream] Error:', error);
+    send('error', { error: 'Chat failed', message: error.message });
+    res.end();
+  }
+});
+
+// GET /chat/tools - Function definitions to paste into the assistant configuration
+app.get('/chat/tools', requireRole('admin'), (req, res) => {
+  res.json({ success: true, tools: toolDefinitions() });
+});
+
 // ==========================================
 // SEARCH INVOICES ENDPOINT
 // ==========================================
-app.post('/search-invoices', async (req, res) => {
+app.post('/search-invoices', requireAuth, async (req, res) => {
   try {
-    const { userId, query, filters } = req.body;
-    if (!userId) return res.status(401).json({ error: 'User ID required' });
-    const result = await searchInvoices(userId, query, filters);
+    const { query, filters } = req.body;
+    const result = await searchInvoices(req.user.id, query, filters);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -293,480 +300,390 @@ app.post('/search-invoices', async (req, res) => {
 });
 
 // ==========================================
-// PARSE ENDPOINTS
+// INVOICE CORRECTIONS
 // ==========================================
-function calculateExpectedAmount(dayRate, weekRate, fourWeekRate, rentalDays) {
-  const day = parseFloat(dayRate) || 0;
-  const week = parseFloat(weekRate) || 0;
-  const month = parseFloat(fourWeekRate) || 0;
-  const days = parseInt(rentalDays) || 1;
-
-  if (day === 0 && week === 0 && month === 0) return 0;
-
-  const effectiveDay = day || (week / 5) || (month / 20);
-  const effectiveWeek = week || (day * 5) || (month / 4);
-  const effectiveMonth = month || (week * 4) || (day * 20);
-
-  if (days <= 2) return effectiveDay * days;
-  if (days <= 6) return Math.min(effectiveDay * days, effectiveWeek);
-  if (days <= 27) return Math.min(effectiveDay * days, effectiveWeek * Math.ceil(days / 7), effectiveMonth);
-  return Math.min(effectiveMonth * Math.ceil(days / 28), effectiveWeek * Math.ceil(days / 7));
-}
-
-// Infer rental days from the charged amount by comparing to day/week/month rates
-function inferRentalDaysFromAmount(amount, dayRate, weekRate, fourWeekRate) {
-  const amt = parseFloat(amount) || 0;
-  const day = parseFloat(dayRate) || 0;
-  const week = parseFloat(weekRate) || 0;
-  const month = parseFloat(fourWeekRate) || 0;
+// PATCH /invoices/:id - Fix misread fields or equipment lines; totals, validation
+// and savings are recomputed and the change is recorded in invoice_audit_log
+app.patch('/invoices/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await correctInvoice({ userId: req.user.id, invoiceId: req.params.id, body: req.body });
+    if (result.error) {
+      return res.status(result.status || 500).json({ success: false, error: result.error, details: result.details });
+    }
+    res.json({ success: true, data: result.data, changes: result.changes });
+  } catch (error) {
+    console.error('[/invoices/:id] Error:', error);
+    res.status(500).json({ error: 'Failed to correct invoice', message: error.message });
+  }
+});
 
-  if (amt === 0) return null;
+// GET /invoices/:id/audit - Correction history for an invoice, newest first
+app.get('/invoices/:id/audit', requireAuth, async (req, res) => {
+  try {
+    const result = await getInvoiceAuditLog(req.user.id, req.params.id);
+    if (result.error) return res.status(500).json({ success: false, error: result.error });
+    res.json({ success: true, entries: result.entries });
+  } catch (error) {
+    console.error('[/invoices/:id/audit] Error:', error);
+    res.status(500).json({ error: 'Failed to load audit log', message: error.message });
+  }
+});
 
-  // Check if amount matches any standard rate (with 5% tolerance for rounding)
-  const tolerance = 0.05;
+// GET /invoices/:id/document - The uploaded file the invoice was parsed from.
+// PDFs and images open in the browser unless ?download=1 is passed; anything
+// else is always sent as a download.
+app.get('/invoices/:id/document', requireAuth, async (req, res) => {
+  try {
+    const result = await getSourceDocument(req.user.id, req.params.id);
+    if (result.error) return res.status(result.status || 500).json({ success: false, error: result.error });
+
+    const viewable = result.contentType === 'application/pdf' || result.contentType.startsWith('image/');
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `${viewable && !req.query.download ? 'inline' : 'attachment'}; filename="${result.filename}"`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(result.buffer);
+  } catch (error) {
+    console.error('[/invoices/:id/document] Error:', error);
+    res.status(500).json({ error: 'Failed to load source document', message: error.message });
+  }
+});
 
-  // Check if it's a day rate
-  if (day > 0 && Math.abs(amt - day) / day <= tolerance) return 1;
+// POST /invoices/reprocess - Recompute savings with the current parsing logic
+// Body: { vendor, date_from, date_to, invoice_ids, missing_only, dry_run }
+// Admins may also pass user_id, or all: true for every user's invoices;
+// everyone else only reprocesses their own. Runs as a background job: poll
+// GET /parse-jobs/:id for the report.
+app.post('/invoices/reprocess', requireAuth, async (req, res) => {
+  try {
+    const { user_id, vendor, date_from, date_to, invoice_ids, missing_only, all, dry_run } = req.body;
+    const isAdmin = req.user.roles.includes('admin');
+    if (!isAdmin && ((user_id && user_id !== req.user.id) || all)) {
+      return res.status(403).json({ error: 'Requires admin role' });
+    }
 
-  // Check if it's a week rate
-  if (week > 0 && Math.abs(amt - week) / week <= tolerance) return 7;
+    const options = {
+      userId: isAdmin ? user_id : req.user.id,
+      vendor,
+      dateFrom: date_from,
+      dateTo: date_to,
+      invoiceIds: Array.isArray(invoice_ids) ? invoice_ids : null,
+      missingOnly: !!missing_only,
+      all: isAdmin && !!all,
+      dryRun: !!dry_run
+    };
+    const filterError = checkReprocessFilters(options);
+    if (filterError) return res.status(400).json({ success: false, error: filterError });
 
-  // Check if it's a 4-week/month rate
-  if (month > 0 && Math.abs(amt - month) / month <= tolerance) return 28;
+    const { job, error } = await createReprocessJob({ userId: req.user.id, options });
+    if (error) return res.status(500).json({ success: false, error: 'Failed to queue reprocessing', message: error });
 
-  // Check for 2-week (2x week rate)
-  if (week > 0 && Math.abs(amt - (week * 2)) / (week * 2) <= tolerance) return 14;
+    console.log(`[/invoices/reprocess] Queued job ${job.id}`);
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    console.error('[/invoices/reprocess] Error:', error);
+    res.status(500).json({ error: 'Reprocessing failed', message: error.message });
+  }
+});
 
-  // Check for 3-week (3x week rate)
-  if (week > 0 && Math.abs(amt - (week * 3)) / (week * 3) <= tolerance) return 21;
+// ==========================================
+// BILLING PERIOD CHECKS
+// ==========================================
+// GET /billing-issues?vendor=&serial_number=&type=overlap|gap|billed_after_off_rent
+// Overlapping, gapped or post-off-rent billing of the same machine across invoices
+app.get('/billing-issues', requireAuth, async (req, res) => {
+  try {
+    const { vendor, serial_number, type } = req.query;
+    const result = await getBillingIssues(req.user.id, { vendor, serialNumber: serial_number, type });
+    if (result.error) return res.status(500).json({ success: false, error: result.error });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[/billing-issues] Error:', error);
+    res.status(500).json({ error: 'Failed to check billing periods', message: error.message });
+  }
+});
 
-  // Check for 2-day
-  if (day > 0 && Math.abs(amt - (day * 2)) / (day * 2) <= tolerance) return 2;
+// ==========================================
+// VENDOR REGISTRY
+// ==========================================
+// Canonical vendors that parsed vendor names are matched to. Names that match
+// none land in the review queue for an admin to settle.
+app.get('/vendors', requireAuth, async (req, res) => {
+  try {
+    const result = await listVendors();
+    if (result.error) return res.status(500).json({ success: false, error: result.error });
+    res.json({ success: true, vendors: result.vendors });
+  } catch (error) {
+    console.error('[/vendors] Error:', error);
+    res.status(500).json({ error: 'Failed to list vendors', message: error.message });
+  }
+});
 
-  // Check for 3-day
-  if (day > 0 && Math.abs(amt - (day * 3)) / (day * 3) <= tolerance) return 3;
+// POST /vendors - { canonical_name, aliases, addresses: [{ type: 'branch' | 'remit', address }], is_rental }
+app.post('/vendors', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await createVendor(req.body || {});
+    if (result.error) return res.status(result.status || 500).json({ success: false, error: result.error });
+    res.status(201).json({ success: true, vendor: result.vendor });
+  } catch (error) {
+    console.error('[/vendors] Error:', error);
+    res.status(500).json({ error: 'Failed to create vendor', message: error.message });
+  }
+});
 
-  // If amount is close to week but less than month, estimate based on week rate
-  if (week > 0 && amt > week && month > 0 && amt < month) {
-    const weeks = Math.round(amt / week);
-    if (weeks >= 1 && weeks <= 4) return weeks * 7;
+app.patch('/vendors/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateVendor(req.params.id, req.body || {});
+    if (result.error) return res.status(result.status || 500).json({ success: false, error: result.error });
+    res.json({ success: true, vendor: result.vendor });
+  } catch (error) {
+    console.error('[/vendors/:id] Error:', error);
+    res.status(500).json({ error: 'Failed to update vendor', message: error.message });
   }
+});
 
-  // If amount is greater than month rate, calculate multiples
-  if (month > 0 && amt >= month) {
-    const months = Math.round(amt / month);
-    if (months >= 1) return months * 28;
+// GET /vendors/review?status=pending|resolved|ignored
+app.get('/vendors/review', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await listVendorReviews(req.query.status || 'pending');
+    if (result.error) return res.status(500).json({ success: false, error: result.error });
+    res.json({ success: true, reviews: result.reviews });
+  } catch (error) {
+    console.error('[/vendors/review] Error:', error);
+    res.status(500).json({ error: 'Failed to list vendor reviews', message: error.message });
   }
+});
 
-  return null; // Couldn't determine
-}
+// POST /vendors/review/:id - { vendor_id } adds the name as an alias,
+// { create: { is_rental, ... } } registers it as a new vendor, { ignore: true } dismisses it
+app.post('/vendors/review/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { vendor_id, create, ignore } = req.body || {};
+    const result = await resolveVendorReview(req.params.id, { vendorId: vendor_id, create, ignore: !!ignore });
+    if (result.error) return res.status(result.status || 500).json({ success: false, error: result.error });
+    res.json({ success: true, vendor: result.vendor });
+  } catch (error) {
+    console.error('[/vendors/review/:id] Error:', error);
+    res.status(500).json({ error: 'Failed to resolve vendor review', message: error.message });
+  }
+});
 
-app.post('/parse', upload.single('file'), async (req, res) => {
+// ==========================================
+// ANALYTICS ENDPOINT
+// ==========================================
+// GET /analytics?from=&to=&vendor=&group_by=vendor,month,job_site,fee_category
+app.get('/analytics', requireAuth, async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    const base64 = req.file.buffer.toString('base64');
-    const mimeType = req.file.mimetype;
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: `You are an invoice parser for construction equipment rentals. Extract the following from this invoice and return ONLY valid JSON, no other text:
-{
-  "vendor": "company name",
-  "invoice_number": "invoice number",
-  "invoice_date": "YYYY-MM-DD",
-  "po_number": "PO number or null",
-  "customer_name": "customer name",
-  "job_site": "job site or null",
-  "equipment": [],
-  "rental_subtotal": 0.00,
-  "fees": {},
-  "tax": 0.00,
-  "total": 0.00,
-  "confidence": "high/medium/low"
-}` },
-          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } }
-        ]
-      }],
-      max_tokens: 1000
+    const { from, to, vendor, group_by } = req.query;
+    const result = await getSpendAnalytics(req.user.id, {
+      from,
+      to,
+      vendor,
+      groupBy: group_by ? group_by.split(',').map(d => d.trim()) : null
     });
-    const content = response.choices[0].message.content;
-    let parsed;
-    try {
-      const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsed = JSON.parse(jsonStr);
-    } catch (e) {
-      return res.status(500).json({ error: 'Failed to parse invoice', raw: content });
-    }
-    res.json({ success: true, data: parsed });
+    if (result.error) return res.status(500).json({ success: false, error: result.error });
+    res.json({ success: true, ...result });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to process invoice', message: error.message });
+    console.error('[/analytics] Error:', error);
+    res.status(500).json({ error: 'Failed to load analytics', message: error.message });
   }
 });
 
-app.post('/parse-base64', async (req, res) => {
+// ==========================================
+// EXPORT ENDPOINTS
+// ==========================================
+// GET /export/invoices?format=csv|xlsx&view=invoices|lines&vendor=&date_from=&date_to=&query=
+// Filters match /search-invoices. CSV holds one view; XLSX holds both unless a view is given.
+app.get('/export/invoices', requireAuth, async (req, res) => {
   try {
-    const { base64Image, mimeType, userId } = req.body;
-    if (!base64Image) return res.status(400).json({ error: 'No image provided' });
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: `You are an expert invoice parser for construction equipment rentals. Extract ALL charges from this invoice.
-
-===========================================
-CRITICAL: SCAN THE ENTIRE INVOICE LINE BY LINE
-===========================================
-Read every single line item on this invoice. Do not skip any charges.
-
-===========================================
-EQUIPMENT & METER CHARGES
-===========================================
-For each piece of equipment, extract:
-- description, serial_number, day_rate, week_rate, four_week_rate, rental_days, amount
-
-IMPORTANT - METER CHARGES: Look for "Meter chg", "Meter charge", "Hour meter", "Meter out/in" on equipment lines.
-If you see "Meter chg: $X" or similar on an equipment line, that is a METER OVERAGE charge.
-Add ALL meter charges together and put in "meter_charges" field.
-
-Example: "Meter out: 679.20 Meter in: 695.20 Meter chg: 1,350.53" → meter_charges: 1350.53
-
-===========================================
-FREIGHT / DELIVERY / PICKUP
-===========================================
-Add together ALL of these and put the TOTAL in "freight":
-- DELIVERY CHARGE, DELIVERY FEE, DELIVERY
-- PICKUP CHARGE, PICKUP FEE, PICK UP, PICK-UP
-- FREIGHT, FREIGHT CHARGE
-- HAULING, CARTAGE, TRUCKING
-- MOBILIZATION, DEMOBILIZATION, MOB/DEMOB
-
-Example: DELIVERY CHARGE $220 + PICKUP CHARGE $220 = freight: 440
-
-===========================================
-FEES - PUT IN "fees" OBJECT
-===========================================
-FUEL CHARGES → fees.fuel_surcharge:
-- REFUELING SERVICE CHARGE
-- REFUEL CHARGE
-- FUEL SURCHARGE
-- FUEL SERVICE
-- DSL (diesel fuel)
-
-ENVIRONMENTAL → fees.environmental:
-- ENVIRONMENTAL SERVICE CHARGE
-- ENV CHARGE
-- ENVIRONMENTAL FEE
-
-RENTAL PROTECTION → fees.rental_protection:
-- RENTAL PROTECTION
-- DAMAGE WAIVER
-- LDW
-- PHYSICAL DAMAGE WAIVER
-- PDW
-- EQUIPMENT PROTECTION
-
-ADMIN/OTHER → fees.admin_fee or fees.other:
-- ADMIN FEE
-- SERVICE FEE
-- PROCESSING FEE
-
-TRANSPORT SURCHARGE → fees.transport_surcharge:
-- TRANS SRVC SURCHARGE
-- TRANSPORT SURCHARGE
-- TRANSPORTATION SURCHARGE
-(This is different from delivery/freight - it's a percentage surcharge)
-
-===========================================
-TAXES - DO NOT PUT IN FEES
-===========================================
-These are TAXES, not fees. Add them to the "tax" field:
-- SALES TAX
-- STATE TAX
-- PROPERTY TAX (like "TX UNIT PROPERTY TAX")
-- DIESEL TAX (like "TEXAS DIESEL TAX")
-- Any line with "TAX" in the name
-
-===========================================
-RENTAL SUBTOTAL
-===========================================
-This is ONLY the equipment rental charges. 
-Look for "Rental Subtotal" on the invoice.
-DO NOT include fees, freight, tax, fuel, or meter charges.
-
-===========================================
-BILLING DATES - CRITICAL FOR RENTAL PERIOD
-===========================================
-Look for "Billed From" / "Billed Through" or "Rental Start" / "Rental End" dates.
-These tell us the actual rental duration. Extract them in YYYY-MM-DD format.
-Calculate rental_days by counting days between these dates.
-
-Example: Billed From: 05/27/25, Billed Through: 06/24/25 = 28 days
-
-===========================================
-RETURN THIS JSON
-===========================================
-{
-  "vendor": "Company name",
-  "invoice_number": "Invoice number",
-  "invoice_date": "YYYY-MM-DD",
-  "billed_from": "YYYY-MM-DD or null",
-  "billed_through": "YYYY-MM-DD or null",
-  "po_number": "PO or null",
-  "customer_name": "Customer name",
-  "job_site": "Job site or null",
-  "equipment": [
-    {
-      "description": "Equipment description",
-      "serial_number": "Serial or null",
-      "day_rate": 0.00,
-      "week_rate": 0.00,
-      "four_week_rate": 0.00,
-      "rental_days": 28,
-      "amount": 0.00
-    }
-  ],
-  "rental_subtotal": 0.00,
-  "freight": 0.00,
-  "meter_charges": 0.00,
-  "fees": {
-    "fuel_surcharge": 0.00,
-    "environmental": 0.00,
-    "rental_protection": 0.00,
-    "transport_surcharge": 0.00,
-    "admin_fee": 0.00,
-    "other": 0.00
-  },
-  "tax": 0.00,
-  "total": 0.00,
-  "confidence": "high"
-}
+    const { format = 'csv', view, vendor, date_from, date_to, query } = req.query;
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format must be csv or xlsx' });
+    if (view && !['invoices', 'lines'].includes(view)) return res.status(400).json({ error: 'view must be invoices or lines' });
 
-IMPORTANT: Calculate rental_days from billed_from to billed_through. Do NOT default to 1 day.
-If dates show a 28-day period, rental_days should be 28, not 1.
+    const { invoices, error } = await fetchAllInvoices(req.user.id, query, { vendor, date_from, date_to });
+    if (error) return res.status(500).json({ success: false, error });
 
-Return ONLY valid JSON. No markdown. No explanation.` },
-          { type: 'image_url', image_url: { url: `data:${mimeType || 'image/png'};base64,${base64Image}` } }
-        ]
-      }],
-      max_tokens: 2000
-    });
-    
-    const content = response.choices[0].message.content;
-    let parsed;
-    try {
-      parsed = JSON.parse(content);
-    } catch (e) {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[0]);
-      } else {
-        return res.status(500).json({ success: false, error: 'Could not parse OpenAI response as JSON' });
-      }
-    }
-    
-    const rentalSubtotal = parseFloat(parsed.rental_subtotal) || 0;
-    const freightKeywords = ['delivery', 'pickup', 'pick up', 'pick-up', 'freight', 'hauling', 'mobilization', 'demobilization', 'cartage', 'transport', 'trucking', 'inbound', 'outbound', 'drayage'];
-    let extractedFreight = parseFloat(parsed.freight) || 0;
-    let remainingFees = {};
-    
-    if (parsed.fees && typeof parsed.fees === 'object') {
-      for (const [feeName, feeAmount] of Object.entries(parsed.fees)) {
-        const lowerName = feeName.toLowerCase();
-        const amount = parseFloat(feeAmount) || 0;
-        const isFreight = freightKeywords.some(kw => lowerName.includes(kw)) && !lowerName.includes('surcharge');
-        if (isFreight && amount > 0) {
-          extractedFreight += amount;
-        } else {
-          remainingFees[feeName] = feeAmount;
-        }
-      }
-    }
-    
-    const freight = extractedFreight;
-    const meterCharges = parseFloat(parsed.meter_charges) || 0;
-    const flaggedCharges = parsed.flagged_charges || {};
-    const feesTotal = Object.values(remainingFees).reduce((sum, f) => sum + (parseFloat(f) || 0), 0) + meterCharges;
-    const feePercentage = rentalSubtotal > 0 ? (feesTotal / rentalSubtotal) * 100 : 0;
-    
-    const rentalKeywords = ['herc', 'sunbelt', 'united rentals', 'ohio cat', 'admar', 'skyworks', 'caterpillar', 'rental', 'leppo'];
-    const vendorLower = (parsed.vendor || '').toLowerCase();
-    const isRental = rentalKeywords.some(kw => vendorLower.includes(kw));
-    
-    const { data: insertData, error: insertError } = await supabase.from('parsed_invoices').insert({
-      source: 'parseapi',
-      app_source: 'rate_daddy',
-      user_id: userId || null,
-      invoice_type: isRental ? 'equipment_rental' : 'unknown',
-      is_equipment_rental: isRental,
-      vendor_name: parsed.vendor || null,
-      vendor_normalized: vendorLower.split(' ')[0] || null,
-      invoice_number: parsed.invoice_number || null,
-      invoice_date: parsed.invoice_date || null,
-      billed_from: parsed.billed_from || null,
-      billed_through: parsed.billed_through || null,
-      po_number: parsed.po_number || null,
-      customer_name: parsed.customer_name || null,
-      job_site: parsed.job_site || null,
-      rental_subtotal: rentalSubtotal || null,
-      freight: freight || null,
-      freight_total: freight || null,
-      meter_charges: meterCharges > 0 ? meterCharges : null,
-      flagged_charges: Object.keys(flaggedCharges).length > 0 ? flaggedCharges : null,
-      fees_total: feesTotal || null,
-      tax: parseFloat(parsed.tax) || null,
-      total: parseFloat(parsed.total) || null,
-      fees: remainingFees || {},
-      equipment: parsed.equipment || [],
-      fee_percentage: feePercentage || null,
-      confidence: parsed.confidence || null,
-      raw_response: parsed || {}
-    }).select().single();
-    
-    if (insertError || !insertData || !insertData.id) {
-      return res.status(500).json({ success: false, error: 'Failed to insert invoice', details: insertError });
+    const stamp = new Date().toISOString().slice(0, 10);
+    console.log(`[/export/invoices] Exporting ${invoices.length} invoices as ${format}`);
+
+    if (format === 'csv') {
+      const lines = view === 'lines';
+      const csv = toCsv(lines ? equipmentLinesTable(invoices) : invoicesTable(invoices));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${lines ? 'equipment-lines' : 'invoices'}-${stamp}.csv"`);
+      return res.send(csv);
     }
-    
-    const invoiceId = insertData.id;
-    let totalMarketSavings = 0;
-    const equipmentWithRates = [];
-    
-    // Calculate rental days from billed dates if available
-    let invoiceRentalDays = 28; // Default to monthly
-    if (parsed.billed_from && parsed.billed_through) {
-      try {
-        const fromDate = new Date(parsed.billed_from);
-        const toDate = new Date(parsed.billed_through);
-        const diffTime = Math.abs(toDate - fromDate);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        if (diffDays > 0) invoiceRentalDays = diffDays;
-        console.log('Calculated rental days from dates:', diffDays);
-      } catch (e) { /* ignore */ }
+
+    const sheets = [];
+    if (!view || view === 'invoices') sheets.push({ name: 'Invoices', table: invoicesTable(invoices) });
+    if (!view || view === 'lines') sheets.push({ name: 'Equipment Lines', table: equipmentLinesTable(invoices) });
+    const buffer = await toXlsx(sheets);
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="invoices-${stamp}.xlsx"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('[/export/invoices] Error:', error);
+    res.status(500).json({ error: 'Failed to export invoices', message: error.message });
+  }
+});
+
+// POST /export/accounting - Bills for import into an AP system
+// Body: { format: 'iif' | 'ap_csv', vendor, date_from, date_to, query,
+//         gl_accounts: { fuel_surcharge: '6120 Fuel', ... },
+//         ap_columns: [{ header: 'Vendor ID', field: 'vendor' }, ...], ap_account }
+app.post('/export/accounting', requireAuth, async (req, res) => {
+  try {
+    const { format, vendor, date_from, date_to, query, gl_accounts, ap_columns, ap_account } = req.body;
+    if (!['iif', 'ap_csv'].includes(format)) return res.status(400).json({ error: 'format must be iif or ap_csv' });
+    if (ap_columns) {
+      const columnsError = checkApColumns(ap_columns);
+      if (columnsError) return res.status(400).json({ error: columnsError });
     }
 
-    if (parsed.equipment && parsed.equipment.length > 0) {
-      for (const item of parsed.equipment) {
-        let actualAmount = parseFloat(item.amount) || 0;
-
-        // PRIORITY 1: Infer rental days from the charged amount vs rate schedule
-        // This is the most accurate method when day/week/month rates are provided
-        const inferredDays = inferRentalDaysFromAmount(
-          actualAmount,
-          item.day_rate,
-          item.week_rate,
-          item.four_week_rate
-        );
+    const { invoices, error } = await fetchAllInvoices(req.user.id, query, { vendor, date_from, date_to });
+    if (error) return res.status(500).json({ success: false, error });
 
-        // PRIORITY 2: Use item rental_days if provided and > 1
-        const itemDays = parseInt(item.rental_days);
+    const stamp = new Date().toISOString().slice(0, 10);
+    console.log(`[/export/accounting] Exporting ${invoices.length} invoices as ${format}`);
 
-        // PRIORITY 3: Fall back to invoice-level rental days (from billed dates)
-        let rentalDays;
-        if (inferredDays) {
-          rentalDays = inferredDays;
-          console.log(`Inferred ${rentalDays} days for ${item.description} from amount $${actualAmount}`);
-        } else if (itemDays && itemDays > 1) {
-          rentalDays = itemDays;
-        } else {
-          rentalDays = invoiceRentalDays;
-        }
-        
-        if (actualAmount === 0) {
-          actualAmount = calculateExpectedAmount(item.day_rate, item.week_rate, item.four_week_rate, rentalDays);
-        }
-        
-        if (!item.description || actualAmount === 0) continue;
-        
-        try {
-          const { data: classifyData } = await supabase.rpc('classify_equipment', { p_description: item.description });
-          
-          if (classifyData && classifyData.length > 0) {
-            const classified = classifyData[0];
-            const { data: savingsData } = await supabase.rpc('calculate_savings', {
-              p_equipment_class: classified.equipment_class,
-              p_equipment_size: classified.equipment_size,
-              p_actual_amount: actualAmount,
-              p_rental_days: rentalDays,
-              p_region: 'Cleveland'
-            });
-            
-            if (savingsData && savingsData.length > 0) {
-              const savings = savingsData[0];
-              totalMarketSavings += parseFloat(savings.total_overpaid) || 0;
-              
-              const marketAvg = parseFloat(savings.market_rate_avg) || 0;
-              const overpaidPct = (marketAvg > 0 && actualAmount > marketAvg) 
-                ? ((actualAmount - marketAvg) / marketAvg) * 100 
-                : 0;
-              
-              equipmentWithRates.push({
-                ...item,
-                calculated_amount: actualAmount,
-                equipment_class: classified.equipment_class,
-                equipment_size: classified.equipment_size,
-                classification_confidence: classified.confidence,
-                market_rate_low: savings.market_rate_low,
-                market_rate_high: savings.market_rate_high,
-                market_rate_avg: savings.market_rate_avg,
-                overpaid_per_day: savings.overpaid_per_day,
-                total_overpaid: savings.total_overpaid,
-                overpaid_percentage: savings.overpaid_percentage || overpaidPct,
-                data_source: savings.data_source
-              });
-              
-              await supabase.from('equipment_rates').insert({
-                invoice_id: invoiceId,
-                user_id: userId || null,
-                equipment_description: item.description,
-                equipment_class: classified.equipment_class,
-                equipment_size: classified.equipment_size,
-                day_rate: item.day_rate || null,
-                week_rate: item.week_rate || null,
-                four_week_rate: item.four_week_rate || null,
-                rental_days: rentalDays,
-                vendor_name: parsed.vendor,
-                region: 'Cleveland',
-                invoice_date: parsed.invoice_date
-              });
-            }
-          }
-        } catch (err) {
-          console.log('Error processing equipment item:', err.message);
-        }
-      }
+    if (format === 'iif') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="bills-${stamp}.iif"`);
+      return res.send(toIif(invoices, { glOverrides: gl_accounts, apAccount: ap_account }));
     }
-    
-    await supabase
-      .from('parsed_invoices')
-      .update({ market_savings: totalMarketSavings, equipment_with_rates: equipmentWithRates })
-      .eq('id', invoiceId);
-    
-    res.json({ 
-      success: true, 
-      data: {
-        ...parsed,
-        id: invoiceId,
-        freight: freight,
-        freight_total: freight,
-        meter_charges: meterCharges,
-        flagged_charges: flaggedCharges,
-        fees: remainingFees,
-        fees_total: feesTotal,
-        fee_percentage: feePercentage,
-        market_savings: totalMarketSavings,
-        equipment_with_rates: equipmentWithRates
-      }, 
-      raw_response: content 
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="ap-import-${stamp}.csv"`);
+    res.send(toApCsv(invoices, { glOverrides: gl_accounts, columns: ap_columns }));
+  } catch (error) {
+    console.error('[/export/accounting] Error:', error);
+    res.status(500).json({ error: 'Failed to export invoices', message: error.message });
+  }
+});
+
+// ==========================================
+// PARSE ENDPOINTS
+// ==========================================
+// Both parse routes share the pipeline and respond with the same shape
+function respondWithParseResult(res, result) {
+  if (result.error) {
+    return res.status(result.status || 500).json({ success: false, error: result.error, details: result.details });
+  }
+  if (result.duplicate) {
+    return res.json({ success: true, ...result });
+  }
+  res.json({ success: true, data: result.data, raw_response: result.raw_response });
+}
+
+app.post('/parse', requireAuth, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const { replaceExisting } = req.body;
+    const result = await processInvoice({
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      userId: req.user.id,
+      replaceExisting: replaceExisting === true || replaceExisting === 'true'
     });
+    respondWithParseResult(res, result);
   } catch (error) {
     console.error('Parse error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.post('/parse-base64', requireAuth, async (req, res) => {
+  try {
+    const { base64Image, mimeType, replaceExisting } = req.body;
+    if (!base64Image) return res.status(400).json({ error: 'No image provided' });
+    const result = await processInvoice({
+      buffer: Buffer.from(base64Image, 'base64'),
+      mimeType,
+      userId: req.user.id,
+      replaceExisting: !!replaceExisting
+    });
+    respondWithParseResult(res, result);
+  } catch (error) {
+    console.error('Parse error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /parse-batch - Parse many invoices (files and/or zip archives) in one request
+app.post('/parse-batch', requireAuth, upload.array('files', MAX_BATCH_FILES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+    const { replaceExisting } = req.body;
+
+    const { summary, results, status, error } = await parseBatch(req.files, {
+      userId: req.user.id,
+      replaceExisting: replaceExisting === true || replaceExisting === 'true'
+    });
+    if (error) return res.status(status || 400).json({ success: false, error });
+
+    console.log(`[/parse-batch] Complete: ${summary.saved} saved, ${summary.low_confidence} low confidence, ${summary.duplicates} duplicates, ${summary.failed} failed`);
+    res.json({ success: true, summary, results });
+  } catch (error) {
+    console.error('[/parse-batch] Error:', error);
+    res.status(500).json({ error: 'Failed to process batch', message: error.message });
+  }
+});
+
+// ==========================================
+// PARSE JOB ENDPOINTS
+// ==========================================
+// Same input as /parse (multipart) or /parse-base64 (JSON), but returns a job id
+// straight away and parses in the background. Poll GET /parse-jobs/:id.
+app.post('/parse-jobs', requireAuth, upload.single('file'), async (req, res) => {
+  try {
+    const { base64Image, mimeType, replaceExisting } = req.body;
+    if (!req.file && !base64Image) return res.status(400).json({ error: 'No file or image provided' });
+
+    const { job, error } = await createParseJob({
+      userId: req.user.id,
+      base64: req.file ? req.file.buffer.toString('base64') : base64Image,
+      mimeType: req.file ? req.file.mimetype : mimeType,
+      replaceExisting: replaceExisting === true || replaceExisting === 'true'
+    });
+    if (error) return res.status(500).json({ success: false, error: 'Failed to create parse job', message: error });
+
+    console.log(`[/parse-jobs] Queued job ${job.id}`);
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    console.error('[/parse-jobs] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/parse-jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const { job, error } = await getParseJob(req.params.id, req.user.id);
+    if (error === 'Job not found') return res.status(404).json({ success: false, error });
+    if (error) return res.status(500).json({ success: false, error });
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run queued parse jobs from a scheduler, e.g. Vercel Cron, on hosts without a
+// worker. Authorized with `Authorization: Bearer <CRON_SECRET>`. Stops claiming
+// new jobs after PARSE_JOB_CRON_SECONDS so it answers within the function timeout.
+app.get('/cron/parse-jobs', async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const seconds = parseInt(process.env.PARSE_JOB_CRON_SECONDS) || 25;
+    const count = await runPendingJobs({ deadline: Date.now() + seconds * 1000 });
+    res.json({ success: true, jobs_run: count });
+  } catch (error) {
+    console.error('[/cron/parse-jobs] Error:', error);
+    res.status(500).json({ error: 'Failed to run parse jobs', message: error.message });
+  }
+});
+
 // ==========================================
 // CONTRACTOR LEAD SCRAPER ENDPOINTS
 // ==========================================
@@ -865,7 +782,7 @@ async function scrapeContractorDetails(detailUrl) {
 }
 
 // POST /scrape-contractors - Upload CSV and scrape contractor details
-app.post('/scrape-contractors', upload.single('file'), async (req, res) => {
+app.post('/scrape-contractors', requireRole('admin'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No CSV file uploaded' });
@@ -1009,7 +926,7 @@ app.post('/scrape-contractors', upload.single('file'), async (req, res) => {
 });
 
 // GET /contractor-leads - Retrieve all contractor leads
-app.get('/contractor-leads', async (req, res) => {
+app.get('/contractor-leads', requireRole('admin'), async (req, res) => {
   try {
     const { limit = 100, offset = 0, has_email, city, state, license_type } = req.query;
     
@@ -1066,9 +983,17 @@ app.get('/contractor-leads', async (req, res) => {
   }
 });
 
+// Uploads over the multer limits: too large or too many is 413, anything else 400
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  const status = ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT'].includes(err.code) ? 413 : 400;
+  res.status(status).json({ success: false, error: err.message, code: err.code });
+});
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log('ParseAPI running on port ' + PORT);
+  if (inlineJobWorker()) startJobWorker();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,10 @@
+require('dotenv').config();
+const { startJobWorker } = require('./lib/jobs');
+
+// Run parse jobs outside the API, for hosts where the API can't work in the
+// background (set PARSE_JOB_WORKER=off there):
+//
+//   node job-worker.js
+//
+// Start as many as needed; each job is claimed by one worker at a time.
+startJobWorker();
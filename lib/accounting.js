@@ -0,0 +1,206 @@
+const { stringify } = require('csv-stringify/sync');
+const { safeRows } = require('./export');
+
+// Expense account for each charge category. Override any of them with the
+// GL_ACCOUNT_MAP env var (JSON) or per request.
+const DEFAULT_GL_ACCOUNTS = {
+  rental: 'Equipment Rental',
+  meter_charges: 'Equipment Rental',
+  sale: 'Materials & Supplies',
+  service: 'Equipment Repairs & Maintenance',
+  fuel: 'Fuel',
+  freight: 'Freight & Delivery',
+  transport_surcharge: 'Freight & Delivery',
+  fuel_surcharge: 'Fuel',
+  environmental: 'Equipment Rental Fees',
+  admin_fee: 'Equipment Rental Fees',
+  rental_protection: 'Equipment Insurance',
+  other: 'Equipment Rental Fees',
+  tax: 'Sales Tax'
+};
+
+const FEE_LABELS = {
+  fuel_surcharge: 'Fuel surcharge',
+  environmental: 'Environmental fee',
+  rental_protection: 'Rental protection',
+  transport_surcharge: 'Transport surcharge',
+  admin_fee: 'Admin fee',
+  other: 'Other fees'
+};
+
+// Sale, service and fuel invoices book their lines to the account for their type
+const LINE_ITEM_TYPES = {
+  sale: 'Materials & supplies',
+  service: 'Repairs & maintenance',
+  fuel: 'Fuel'
+};
+
+const AP_FIELDS = {
+  invoice_id: ({ invoice }) => invoice.id,
+  vendor: ({ invoice }) => invoice.vendor_name,
+  vendor_canonical: ({ invoice }) => invoice.vendor_canonical || invoice.vendor_name,
+  vendor_normalized: ({ invoice }) => invoice.vendor_normalized,
+  invoice_number: ({ invoice }) => invoice.invoice_number,
+  invoice_date: ({ invoice }) => invoice.invoice_date,
+  po_number: ({ invoice }) => invoice.po_number,
+  customer: ({ invoice }) => invoice.customer_name,
+  job_site: ({ invoice }) => invoice.job_site,
+  invoice_total: ({ invoice }) => money(invoice.total),
+  document_type: ({ invoice }) => invoice.invoice_type,
+  original_invoice_number: ({ invoice }) => invoice.original_invoice_number,
+  line_number: ({ index }) => index + 1,
+  line_type: ({ line }) => line.type,
+  description: ({ line }) => line.description,
+  gl_account: ({ line }) => line.account,
+  amount: ({ line }) => money(line.amount),
+  memo: ({ invoice, line }) => [line.description, invoice.po_number ? `PO ${invoice.po_number}` : null].filter(Boolean).join(' - ')
+};
+
+const DEFAULT_AP_COLUMNS = [
+  { header: 'Vendor', field: 'vendor' },
+  { header: 'Invoice Number', field: 'invoice_number' },
+  { header: 'Invoice Date', field: 'invoice_date' },
+  { header: 'PO Number', field: 'po_number' },
+  { header: 'Job Site', field: 'job_site' },
+  { header: 'Invoice Total', field: 'invoice_total' },
+  { header: 'Line', field: 'line_number' },
+  { header: 'Line Type', field: 'line_type' },
+  { header: 'GL Account', field: 'gl_account' },
+  { header: 'Amount', field: 'amount' },
+  { header: 'Memo', field: 'memo' }
+];
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return null;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.log(`Ignoring ${name}: not valid JSON`);
+    return null;
+  }
+}
+
+function glAccounts(overrides) {
+  return { ...DEFAULT_GL_ACCOUNTS, ...(parseJsonEnv('GL_ACCOUNT_MAP') || {}), ...(overrides || {}) };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function money(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : round2(n).toFixed(2);
+}
+
+// Split an invoice into GL-coded lines: rental (or, for sale, service and fuel
+// invoices, each line item), meter, freight, each fee category and tax. When
+// they don't add up to the total, the difference is booked to the "other"
+// account so the bill still balances.
+function accountingLines(invoice, accounts) {
+  const lines = [];
+  const add = (type, description, amount) => {
+    const value = round2(parseFloat(amount) || 0);
+    if (value !== 0) lines.push({ type, description, account: accounts[type] || accounts.other, amount: value });
+  };
+
+  const lineItemType = LINE_ITEM_TYPES[invoice.invoice_type] ? invoice.invoice_type : null;
+  if (lineItemType && (invoice.line_items || []).length > 0) {
+    for (const item of invoice.line_items) add(lineItemType, item.description || LINE_ITEM_TYPES[lineItemType], item.amount);
+  } else if (lineItemType) {
+    add(lineItemType, LINE_ITEM_TYPES[lineItemType], invoice.subtotal);
+  }
+  add('rental', 'Equipment rental', invoice.rental_subtotal);
+  add('meter_charges', 'Meter overage', invoice.meter_charges);
+  add('freight', 'Delivery / pickup', invoice.freight);
+  for (const [category, amount] of Object.entries(invoice.fees || {})) {
+    const type = DEFAULT_GL_ACCOUNTS[category] ? category : 'other';
+    add(type, FEE_LABELS[category] || category.replace(/_/g, ' '), amount);
+  }
+  add('tax', 'Tax', invoice.tax);
+
+  const total = round2(parseFloat(invoice.total) || 0);
+  const difference = round2(total - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (total !== 0 && difference !== 0) {
+    lines.push({ type: 'other', description: 'Unreconciled difference', account: accounts.other, amount: difference });
+  }
+
+  return lines;
+}
+
+function iifDate(isoDate) {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.slice(0, 10).split('-');
+  return `${month}/${day}/${year}`;
+}
+
+function iifValue(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+// Credit memos and anything else that nets to a credit are vendor credits
+function isVendorCredit(invoice, total) {
+  return invoice.invoice_type === 'credit_memo' || total < 0;
+}
+
+// QuickBooks Desktop IIF: one BILL transaction per invoice, credited to
+// Accounts Payable with a split per GL line. Vendor credits go in as BILL
+// REFUND, debiting Accounts Payable, with the credited invoice in the memo.
+function toIif(invoices, { glOverrides, apAccount } = {}) {
+  const accounts = glAccounts(glOverrides);
+  const payable = apAccount || process.env.AP_ACCOUNT || 'Accounts Payable';
+  const rows = [
+    ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!ENDTRNS']
+  ];
+
+  for (const invoice of invoices) {
+    const lines = accountingLines(invoice, accounts);
+    if (lines.length === 0) continue;
+
+    const date = iifDate(invoice.invoice_date);
+    const total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const credit = isVendorCredit(invoice, total);
+    const type = credit ? 'BILL REFUND' : 'BILL';
+    let memo = invoice.po_number ? `PO ${invoice.po_number}` : (invoice.job_site || '');
+    if (credit && invoice.original_invoice_number) {
+      memo = [`Credit for invoice ${invoice.original_invoice_number}`, memo].filter(Boolean).join(' - ');
+    }
+
+    rows.push(['TRNS', '', type, date, payable, invoice.vendor_name, (-total).toFixed(2), invoice.invoice_number, memo]);
+    for (const line of lines) {
+      rows.push(['SPL', '', type, date, line.account, invoice.vendor_name, line.amount.toFixed(2), invoice.invoice_number, line.description]);
+    }
+    rows.push(['ENDTRNS']);
+  }
+
+  return rows.map(row => row.map(iifValue).join('\t')).join('\r\n') + '\r\n';
+}
+
+// Validate a column mapping of [{ header, field }]; returns an error string or null
+function checkApColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) return 'ap_columns must be a non-empty array';
+  const unknown = columns.filter(c => !c || !AP_FIELDS[c.field]).map(c => c && c.field);
+  if (unknown.length > 0) return `Unknown ap_columns field(s): ${unknown.join(', ')}. Available: ${Object.keys(AP_FIELDS).join(', ')}`;
+  return null;
+}
+
+// Generic AP import CSV: one row per GL line with the invoice header repeated
+function toApCsv(invoices, { glOverrides, columns } = {}) {
+  const accounts = glAccounts(glOverrides);
+  const mapping = columns || parseJsonEnv('AP_CSV_COLUMNS') || DEFAULT_AP_COLUMNS;
+  const mappingError = checkApColumns(mapping);
+  if (mappingError) throw new Error(mappingError);
+
+  const rows = [];
+  for (const invoice of invoices) {
+    accountingLines(invoice, accounts).forEach((line, index) => {
+      rows.push(mapping.map(({ field }) => AP_FIELDS[field]({ invoice, line, index }) ?? ''));
+    });
+  }
+
+  return stringify(safeRows([mapping.map(c => c.header || c.field), ...rows]));
+}
+
+module.exports = { accountingLines, toIif, toApCsv, checkApColumns, AP_FIELDS, DEFAULT_GL_ACCOUNTS };
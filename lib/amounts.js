@@ -0,0 +1,25 @@
+// Parse a money amount as extracted or printed. Credits keep their sign:
+// -125.00, "(125.00)", "125.00-", "125.00 CR" and "CR 125.00" all give -125.
+// Returns `fallback` for missing or unreadable values.
+function parseAmount(value, fallback = 0) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : fallback;
+  if (typeof value !== 'string') return fallback;
+
+  let text = value.trim().toUpperCase();
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  if (/^CR\b|CR$|-$/.test(text)) {
+    negative = true;
+    text = text.replace(/^CR\b|CR$|-$/g, '');
+  }
+
+  text = text.replace(/[$,\s]/g, '');
+  const amount = Number(text);
+  if (text === '' || !Number.isFinite(amount)) return fallback;
+  return negative ? -Math.abs(amount) : amount;
+}
+
+module.exports = { parseAmount };
@@ -0,0 +1,178 @@
+const { parseAmount } = require('./amounts');
+const { fetchAllInvoices } = require('./invoices');
+const { FEE_CATEGORIES } = require('./schema');
+
+const COLUMNS = 'id, invoice_date, vendor_name, vendor_canonical, vendor_normalized, job_site, rental_subtotal, freight, fees, fees_total, meter_charges, tax, total, market_savings, equipment_with_rates';
+const DIMENSIONS = ['vendor', 'month', 'job_site', 'fee_category'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function num(value) {
+  return parseAmount(value);
+}
+
+function emptyBucket(key, label) {
+  return {
+    key,
+    label,
+    invoices: 0,
+    total_spend: 0,
+    rental_spend: 0,
+    freight: 0,
+    fees_total: 0,
+    market_savings: 0,
+    equipment_lines: 0,
+    overpaid_lines: 0
+  };
+}
+
+function addInvoice(bucket, invoice) {
+  bucket.invoices++;
+  bucket.total_spend += num(invoice.total);
+  bucket.rental_spend += num(invoice.rental_subtotal);
+  bucket.freight += num(invoice.freight);
+  bucket.fees_total += num(invoice.fees_total);
+  bucket.market_savings += num(invoice.market_savings);
+
+  for (const line of invoice.equipment_with_rates || []) {
+    bucket.equipment_lines++;
+    if (num(line.total_overpaid) > 0) bucket.overpaid_lines++;
+  }
+}
+
+function finishBucket(bucket) {
+  return {
+    ...bucket,
+    total_spend: round2(bucket.total_spend),
+    rental_spend: round2(bucket.rental_spend),
+    freight: round2(bucket.freight),
+    fees_total: round2(bucket.fees_total),
+    market_savings: round2(bucket.market_savings),
+    fee_percentage: bucket.rental_spend > 0 ? round2((bucket.fees_total / bucket.rental_spend) * 100) : 0
+  };
+}
+
+function groupInvoices(invoices, keyFor, labelFor) {
+  const buckets = new Map();
+  for (const invoice of invoices) {
+    const key = keyFor(invoice);
+    if (!buckets.has(key)) buckets.set(key, emptyBucket(key, labelFor(invoice, key)));
+    addInvoice(buckets.get(key), invoice);
+  }
+  return [...buckets.values()].map(finishBucket);
+}
+
+function feeAmount(invoice, category) {
+  return num((invoice.fees || {})[category]);
+}
+
+// Fee categories outside the standard five are rolled into "other"
+function otherFees(invoice) {
+  return Object.entries(invoice.fees || {})
+    .filter(([name]) => !FEE_CATEGORIES.includes(name))
+    .reduce((sum, [, amount]) => sum + num(amount), 0);
+}
+
+function byFeeCategory(invoices) {
+  const rentalSpend = invoices.reduce((sum, inv) => sum + num(inv.rental_subtotal), 0);
+  const categories = [...FEE_CATEGORIES, 'other', 'meter_charges'];
+  const amountFor = (invoice, category) => {
+    if (category === 'other') return otherFees(invoice);
+    if (category === 'meter_charges') return num(invoice.meter_charges);
+    return feeAmount(invoice, category);
+  };
+
+  return categories.map(category => {
+    const amounts = invoices.map(inv => amountFor(inv, category));
+    const total = amounts.reduce((sum, n) => sum + n, 0);
+    return {
+      category,
+      total: round2(total),
+      invoices_charged: amounts.filter(n => n !== 0).length,
+      percent_of_rental: rentalSpend > 0 ? round2((total / rentalSpend) * 100) : 0
+    };
+  });
+}
+
+// Month-by-month totals per fee category, with the change from the prior month
+function feeTrends(invoices) {
+  const months = new Map();
+  for (const invoice of invoices) {
+    const month = (invoice.invoice_date || '').slice(0, 7) || 'unknown';
+    if (!months.has(month)) {
+      months.set(month, { month, rental_spend: 0, fees_total: 0, categories: Object.fromEntries([...FEE_CATEGORIES, 'other'].map(c => [c, 0])) });
+    }
+    const entry = months.get(month);
+    entry.rental_spend += num(invoice.rental_subtotal);
+    entry.fees_total += num(invoice.fees_total);
+    for (const category of FEE_CATEGORIES) entry.categories[category] += feeAmount(invoice, category);
+    entry.categories.other += otherFees(invoice);
+  }
+
+  const sorted = [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+  let previous = null;
+  return sorted.map(entry => {
+    const feePercentage = entry.rental_spend > 0 ? (entry.fees_total / entry.rental_spend) * 100 : 0;
+    const trend = {
+      month: entry.month,
+      fees_total: round2(entry.fees_total),
+      fee_percentage: round2(feePercentage),
+      fee_percentage_change: previous ? round2(feePercentage - previous.feePercentage) : null,
+      categories: Object.fromEntries(Object.entries(entry.categories).map(([c, v]) => [c, round2(v)]))
+    };
+    previous = { feePercentage };
+    return trend;
+  });
+}
+
+// Spend and fee breakdowns for a user's invoices. `groupBy` limits the output to
+// some of: vendor, month, job_site, fee_category (all by default).
+async function getSpendAnalytics(userId, { from, to, vendor, groupBy } = {}) {
+  try {
+    if (!userId) return { error: 'User not logged in' };
+
+    const { invoices, error } = await fetchAllInvoices(userId, null, { vendor, date_from: from, date_to: to }, COLUMNS);
+    if (error) return { error };
+
+    const dimensions = groupBy && groupBy.length > 0 ? groupBy.filter(d => DIMENSIONS.includes(d)) : DIMENSIONS;
+    const bySpend = (a, b) => b.total_spend - a.total_spend;
+    const result = {
+      filters: { from: from || null, to: to || null, vendor: vendor || null },
+      totals: finishBucket(invoices.reduce((bucket, inv) => { addInvoice(bucket, inv); return bucket; }, emptyBucket('all', 'All invoices')))
+    };
+
+    if (dimensions.includes('vendor')) {
+      result.by_vendor = groupInvoices(
+        invoices,
+        inv => inv.vendor_normalized || (inv.vendor_name || 'unknown').toLowerCase(),
+        inv => inv.vendor_canonical || inv.vendor_name || 'Unknown vendor'
+      ).sort(bySpend);
+    }
+    if (dimensions.includes('month')) {
+      result.by_month = groupInvoices(
+        invoices,
+        inv => (inv.invoice_date || '').slice(0, 7) || 'unknown',
+        (inv, key) => key
+      ).sort((a, b) => a.key.localeCompare(b.key));
+    }
+    if (dimensions.includes('job_site')) {
+      result.by_job_site = groupInvoices(
+        invoices,
+        inv => (inv.job_site || '').trim().toLowerCase() || 'unspecified',
+        inv => (inv.job_site || '').trim() || 'Unspecified'
+      ).sort(bySpend);
+    }
+    if (dimensions.includes('fee_category')) {
+      result.by_fee_category = byFeeCategory(invoices);
+      result.fee_trends = feeTrends(invoices);
+    }
+
+    return result;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = { getSpendAnalytics, DIMENSIONS };
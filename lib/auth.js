@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+
+// Supabase signs access tokens with the project's JWT secret (HS256)
+function getJwtSecret() {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) throw new Error('SUPABASE_JWT_SECRET is not set');
+  return secret;
+}
+
+// Custom roles live in app_metadata, which only the service key can write.
+// The top-level `role` claim is always "authenticated" and isn't used here.
+function userFromClaims(claims) {
+  const appMetadata = claims.app_metadata || {};
+  const roles = Array.isArray(appMetadata.roles) ? appMetadata.roles : [];
+  if (appMetadata.role && !roles.includes(appMetadata.role)) roles.push(appMetadata.role);
+
+  return { id: claims.sub, email: claims.email || null, roles };
+}
+
+// Returns the user for the request's bearer token, null when there is none,
+// and throws when a token is present but invalid or expired
+function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!token || scheme.toLowerCase() !== 'bearer') return null;
+
+  const claims = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+  if (!claims.sub) throw new Error('Token has no subject');
+  return userFromClaims(claims);
+}
+
+// Sets req.user when a valid token is sent; anonymous requests pass through
+function optionalAuth(req, res, next) {
+  try {
+    req.user = authenticate(req);
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token', message: err.message });
+  }
+}
+
+function requireAuth(req, res, next) {
+  try {
+    req.user = authenticate(req);
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token', message: err.message });
+  }
+}
+
+function requireRole(role) {
+  return [requireAuth, (req, res, next) => {
+    if (!req.user.roles.includes(role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  }];
+}
+
+// Sign a Supabase-shaped access token with the local secret. Used by
+// sign-test-token.js to exercise authenticated routes without Supabase Auth.
+function signToken({ userId, email, roles = [], expiresIn = '1h' }) {
+  return jwt.sign(
+    {
+      sub: userId,
+      email: email || undefined,
+      role: 'authenticated',
+      aud: 'authenticated',
+      app_metadata: { roles }
+    },
+    getJwtSecret(),
+    { algorithm: 'HS256', expiresIn }
+  );
+}
+
+module.exports = { authenticate, optionalAuth, requireAuth, requireRole, signToken };
@@ -0,0 +1,144 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { processInvoice } = require('./pipeline');
+
+// Invoices parsed at once. Each one holds a model call and a run of RPCs open.
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+// What one batch may unpack from zip archives, so a zip bomb can't run the
+// process out of memory
+const MAX_ZIP_ENTRIES = parseInt(process.env.MAX_ZIP_ENTRIES) || 500;
+const MAX_UNPACKED_BYTES = (parseInt(process.env.MAX_UNPACKED_MB) || 200) * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+function isZip(file) {
+  return file.mimetype === 'application/zip' ||
+    file.mimetype === 'application/x-zip-compressed' ||
+    path.extname(file.originalname || '').toLowerCase() === '.zip' ||
+    (file.buffer.length >= 4 && file.buffer.readUInt32LE(0) === 0x04034b50);
+}
+
+// Flatten uploaded files and the invoices inside any zip archives into
+// { name, buffer, mimeType }. Entries we can't parse are reported as skipped.
+// Returns { status: 413, error } when the archives hold more entries or more
+// unpacked data than the batch limits allow.
+function expandUploads(files) {
+  const invoices = [];
+  const skipped = [];
+  let entryCount = 0;
+  let unpackedBytes = 0;
+
+  for (const file of files || []) {
+    if (!isZip(file)) {
+      invoices.push({ name: file.originalname, buffer: file.buffer, mimeType: file.mimetype });
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries();
+    } catch (err) {
+      skipped.push({ file: file.originalname, error: `Could not read zip: ${err.message}` });
+      continue;
+    }
+
+    entryCount += entries.length;
+    if (entryCount > MAX_ZIP_ENTRIES) {
+      return { status: 413, error: `Zip archives hold more than ${MAX_ZIP_ENTRIES} entries` };
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') || path.basename(entry.entryName).startsWith('.')) continue;
+      const name = `${file.originalname}/${entry.entryName}`;
+      const mimeType = MIME_TYPES[path.extname(entry.entryName).toLowerCase()];
+      if (!mimeType) {
+        skipped.push({ file: name, error: 'Unsupported file type' });
+        continue;
+      }
+
+      // Checked against the size the archive declares before unpacking, then
+      // against what was actually unpacked in case the declaration lied
+      unpackedBytes += entry.header.size;
+      if (unpackedBytes > MAX_UNPACKED_BYTES) return unpackLimitError();
+      const buffer = entry.getData();
+      if (buffer.length > entry.header.size) return unpackLimitError();
+      invoices.push({ name, buffer, mimeType });
+    }
+  }
+
+  return { invoices, skipped };
+}
+
+function unpackLimitError() {
+  return { status: 413, error: `Zip archives unpack to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB` };
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function outcomeFor(name, result) {
+  if (result.error) return { file: name, status: 'failed', error: result.error };
+  if (result.duplicate) return { file: name, status: 'duplicate', existing_id: result.existing_id, match_type: result.match_type };
+
+  const { id, vendor, invoice_number, total, confidence } = result.data;
+  return {
+    file: name,
+    status: confidence === 'low' ? 'low_confidence' : 'saved',
+    invoice_id: id,
+    vendor,
+    invoice_number,
+    total,
+    confidence
+  };
+}
+
+async function parseBatch(files, { userId, replaceExisting }) {
+  const { invoices, skipped, status, error } = expandUploads(files);
+  if (error) return { status, error };
+  console.log(`[batch] Parsing ${invoices.length} invoice(s), ${skipped.length} skipped`);
+
+  const outcomes = await mapWithConcurrency(invoices, BATCH_CONCURRENCY, async (invoice) => {
+    try {
+      const result = await processInvoice({ buffer: invoice.buffer, mimeType: invoice.mimeType, userId, replaceExisting });
+      return outcomeFor(invoice.name, result);
+    } catch (err) {
+      return { file: invoice.name, status: 'failed', error: err.message };
+    }
+  });
+
+  const results = [...outcomes, ...skipped.map(s => ({ ...s, status: 'failed' }))];
+  const count = status => results.filter(r => r.status === status).length;
+
+  return {
+    summary: {
+      total_files: results.length,
+      saved: count('saved'),
+      low_confidence: count('low_confidence'),
+      duplicates: count('duplicate'),
+      failed: count('failed')
+    },
+    results
+  };
+}
+
+module.exports = { parseBatch, expandUploads };
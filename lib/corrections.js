@@ -0,0 +1,305 @@
+const supabase = require('./supabase');
+const { validateSchema } = require('./schema');
+const { adjustConfidence, notePageLimit } = require('./validation');
+const { resolveRegion } = require('./regions');
+const { checkCharges, chargeColumns, recalculateSavings } = require('./pipeline');
+const { documentTypeOf } = require('./documents');
+const { parseAmount } = require('./amounts');
+const { linkCreditMemo } = require('./credits');
+const { resolveVendor, vendorFields, queueVendorForReview } = require('./vendors');
+const { refreshBillingIssues } = require('./overlaps');
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// Header fields a user may correct, with the raw_response key each came from
+const HEADER_FIELDS = {
+  vendor_name: { raw: 'vendor', schema: { type: ['string', 'null'] } },
+  invoice_number: { raw: 'invoice_number', schema: { type: ['string', 'null'] } },
+  invoice_date: { raw: 'invoice_date', schema: { type: ['string', 'null'], pattern: DATE_PATTERN } },
+  billed_from: { raw: 'billed_from', schema: { type: ['string', 'null'], pattern: DATE_PATTERN } },
+  billed_through: { raw: 'billed_through', schema: { type: ['string', 'null'], pattern: DATE_PATTERN } },
+  po_number: { raw: 'po_number', schema: { type: ['string', 'null'] } },
+  original_invoice_number: { raw: 'original_invoice_number', schema: { type: ['string', 'null'] } },
+  customer_name: { raw: 'customer_name', schema: { type: ['string', 'null'] } },
+  job_site: { raw: 'job_site', schema: { type: ['string', 'null'] } },
+  rental_subtotal: { raw: 'rental_subtotal', schema: { type: ['number', 'null'] } },
+  subtotal: { raw: 'subtotal', schema: { type: ['number', 'null'] } },
+  freight: { raw: 'freight', schema: { type: ['number', 'null'] } },
+  meter_charges: { raw: 'meter_charges', schema: { type: ['number', 'null'] } },
+  tax: { raw: 'tax', schema: { type: ['number', 'null'] } },
+  total: { raw: 'total', schema: { type: ['number', 'null'] } }
+};
+
+const EQUIPMENT_FIELDS = {
+  description: { type: 'string' },
+  serial_number: { type: ['string', 'null'] },
+  day_rate: { type: ['number', 'null'] },
+  week_rate: { type: ['number', 'null'] },
+  four_week_rate: { type: ['number', 'null'] },
+  rental_days: { type: ['integer', 'null'] },
+  amount: { type: ['number', 'null'] },
+  meter_out: { type: ['number', 'null'] },
+  meter_in: { type: ['number', 'null'] },
+  meter_charge: { type: ['number', 'null'] },
+  off_rent_date: { type: ['string', 'null'], pattern: DATE_PATTERN }
+};
+
+// PATCH body:
+//   fields     { <header field>: value }
+//   fees       { <fee category>: amount | null }   null removes the category
+//   equipment  [{ index, ...changes }, { index, remove: true }, { ...new line }]
+//   note       optional free text kept with the audit entry
+const CORRECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    fields: {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(HEADER_FIELDS).map(([name, f]) => [name, f.schema])),
+      additionalProperties: false
+    },
+    fees: { type: 'object' },
+    equipment: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { index: { type: 'integer' }, remove: { type: 'boolean' }, ...EQUIPMENT_FIELDS },
+        additionalProperties: false
+      }
+    },
+    note: { type: ['string', 'null'] }
+  },
+  additionalProperties: false
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Each stored line keeps its position in raw_response.equipment as raw_index,
+// so edits are paired with the line the model extracted even after earlier
+// lines are removed. Lines stored before raw_index existed get their position.
+function withRawIndex(equipment) {
+  return (equipment || []).map((line, index) => ('raw_index' in line ? line : { ...line, raw_index: index }));
+}
+
+// Apply the requested changes to a copy of the invoice and list what changed.
+// Each change records the stored value, the new value and what the model
+// originally extracted.
+function applyChanges(invoice, body) {
+  const raw = invoice.raw_response || {};
+  const updated = { ...invoice, fees: { ...(invoice.fees || {}) }, equipment: withRawIndex(invoice.equipment) };
+  const changes = [];
+
+  for (const [field, value] of Object.entries(body.fields || {})) {
+    if (sameValue(invoice[field], value)) continue;
+    changes.push({ field, from: invoice[field] ?? null, to: value, original: raw[HEADER_FIELDS[field].raw] ?? null });
+    updated[field] = value;
+  }
+
+  for (const [category, value] of Object.entries(body.fees || {})) {
+    if (value !== null && typeof value !== 'number') throw new Error(`fees.${category} must be a number or null`);
+    if (sameValue(updated.fees[category], value)) continue;
+    changes.push({ field: `fees.${category}`, from: updated.fees[category] ?? null, to: value, original: (raw.fees || {})[category] ?? null });
+    if (value === null) delete updated.fees[category];
+    else updated.fees[category] = value;
+  }
+
+  const removed = new Set();
+  for (const edit of body.equipment || []) {
+    const { index, remove, ...fields } = edit;
+
+    if (index === undefined) {
+      if (!fields.description) throw new Error('New equipment lines need a description');
+      // Added by hand, so there is no extracted line to compare with
+      updated.equipment.push({ ...fields, raw_index: null });
+      changes.push({ field: `equipment[${updated.equipment.length - 1}]`, from: null, to: fields, original: null });
+      continue;
+    }
+
+    if (index < 0 || index >= (invoice.equipment || []).length) throw new Error(`equipment index ${index} does not exist`);
+    const current = updated.equipment[index];
+    const extracted = current.raw_index === null ? null : (raw.equipment || [])[current.raw_index] ?? null;
+    const original = extracted || {};
+
+    if (remove) {
+      removed.add(index);
+      changes.push({ field: `equipment[${index}]`, from: current, to: null, original: extracted });
+      continue;
+    }
+
+    const line = { ...current };
+    for (const [field, value] of Object.entries(fields)) {
+      if (sameValue(current[field], value)) continue;
+      changes.push({ field: `equipment[${index}].${field}`, from: current[field] ?? null, to: value, original: original[field] ?? null });
+      line[field] = value;
+    }
+    updated.equipment[index] = line;
+  }
+  updated.equipment = updated.equipment.filter((_, i) => !removed.has(i));
+
+  return { updated, changes };
+}
+
+// Review entries still open after a correction. Edited fields and lines count as
+// reviewed; line entries follow their line when earlier lines are removed.
+function remainingReviewFields(reviewFields, changes) {
+  const reviewed = new Set();
+  const removed = [];
+  for (const change of changes) {
+    const line = change.field.match(/^equipment\[(\d+)\]/);
+    if (line) {
+      reviewed.add(line[0]);
+      if (change.field === line[0] && change.to === null) removed.push(Number(line[1]));
+    } else {
+      reviewed.add(HEADER_FIELDS[change.field] ? HEADER_FIELDS[change.field].raw : change.field);
+    }
+  }
+
+  const remaining = (reviewFields || [])
+    .filter(field => !reviewed.has(field))
+    .map(field => {
+      const line = field.match(/^equipment\[(\d+)\]$/);
+      if (!line) return field;
+      const index = Number(line[1]);
+      return `equipment[${index - removed.filter(i => i < index).length}]`;
+    });
+  return remaining.length > 0 ? remaining : null;
+}
+
+// Correct a stored invoice and redo everything derived from the edited values:
+// freight/fee totals, fee percentage, reconciliation, rental days and savings
+async function correctInvoice({ userId, invoiceId, body }) {
+  const errors = validateSchema(body || {}, CORRECTION_SCHEMA);
+  if (errors.length > 0) return { status: 400, error: 'Invalid correction', details: errors };
+
+  const { data: invoice, error: fetchError } = await supabase
+    .from('parsed_invoices')
+    .select('*')
+    .eq('id', invoiceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (fetchError) return { status: 500, error: fetchError.message };
+  if (!invoice) return { status: 404, error: 'Invoice not found' };
+
+  let updated, changes;
+  try {
+    ({ updated, changes } = applyChanges(invoice, body));
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (changes.length === 0) return { status: 400, error: 'No changes to apply' };
+
+  const documentType = documentTypeOf(invoice);
+  const checked = checkCharges({
+    rental_subtotal: updated.rental_subtotal,
+    subtotal: updated.subtotal,
+    freight: updated.freight,
+    meter_charges: updated.meter_charges,
+    fees: updated.fees,
+    tax: updated.tax,
+    total: updated.total,
+    equipment: updated.equipment,
+    line_items: invoice.line_items,
+    entries: invoice.line_items,
+    balance_due: (invoice.raw_response || {}).balance_due
+  }, documentType);
+  const { charges } = checked;
+  // Pages past MAX_PDF_PAGES are still unread after a correction
+  const pageLimit = ((invoice.validation_report || {}).discrepancies || []).find(d => d.check === 'page_limit');
+  const validationReport = pageLimit
+    ? notePageLimit(checked.validationReport, pageLimit.pages_read, pageLimit.page_count)
+    : checked.validationReport;
+
+  // A renamed vendor is matched against the registry again
+  const vendor = changes.some(c => c.field === 'vendor_name') ? await resolveVendor(updated.vendor_name) : null;
+
+  const addressChanged = changes.some(c => c.field === 'job_site');
+  const region = !addressChanged && invoice.region
+    ? invoice.region
+    : (await resolveRegion({ jobSite: updated.job_site, customerAddress: (invoice.raw_response || {}).customer_address, userId })).region;
+
+  const record = {
+    vendor_name: updated.vendor_name,
+    ...(vendor ? vendorFields(vendor) : {}),
+    invoice_number: updated.invoice_number,
+    invoice_date: updated.invoice_date,
+    billed_from: updated.billed_from,
+    billed_through: updated.billed_through,
+    po_number: updated.po_number,
+    customer_name: updated.customer_name,
+    job_site: updated.job_site,
+    region,
+    ...chargeColumns(documentType, charges),
+    original_invoice_number: updated.original_invoice_number || null,
+    tax: parseAmount(updated.tax) || null,
+    total: parseAmount(updated.total) || null,
+    equipment: updated.equipment,
+    validation_report: validationReport,
+    review_fields: remainingReviewFields(invoice.review_fields, changes),
+    confidence: adjustConfidence((invoice.raw_response || {}).confidence, validationReport),
+    last_corrected_at: new Date().toISOString(),
+    last_corrected_by: userId
+  };
+
+  // A credit memo with a new reference or vendor is unlinked here and matched again below
+  const relink = documentType === 'credit_memo' &&
+    changes.some(c => c.field === 'original_invoice_number' || c.field === 'vendor_name');
+  if (relink) record.credited_invoice_id = null;
+
+  const { error: updateError } = await supabase.from('parsed_invoices').update(record).eq('id', invoiceId);
+  if (updateError) return { status: 500, error: 'Failed to update invoice', details: updateError };
+
+  const savings = await recalculateSavings({ ...invoice, ...record }, { region });
+  if (savings.error) return { status: 500, error: 'Failed to recalculate savings', details: savings.error };
+  if (vendor && invoice.vendor_normalized && invoice.vendor_normalized !== vendor.vendorNormalized) {
+    // Clear issues the invoice used to share with its old vendor's invoices
+    await refreshBillingIssues(userId, invoice.vendor_normalized);
+  }
+  if (relink) {
+    record.credited_invoice_id = await linkCreditMemo({
+      id: invoiceId,
+      userId,
+      vendorNormalized: record.vendor_normalized || invoice.vendor_normalized,
+      originalInvoiceNumber: updated.original_invoice_number
+    });
+  }
+  if (vendor && !vendor.matched && updated.vendor_name) {
+    await queueVendorForReview({ vendorName: updated.vendor_name, userId, invoiceId, suggestion: vendor.suggestion });
+  }
+
+  const { error: auditError } = await supabase.from('invoice_audit_log').insert({
+    invoice_id: invoiceId,
+    user_id: userId,
+    action: 'correction',
+    changes,
+    note: body.note || null,
+    market_savings_before: invoice.market_savings,
+    market_savings_after: savings.totalMarketSavings
+  });
+  if (auditError) console.log('Could not write invoice audit entry:', auditError.message);
+
+  return {
+    data: {
+      ...invoice,
+      ...record,
+      market_savings: savings.totalMarketSavings,
+      equipment_with_rates: savings.equipmentWithRates,
+      meter_analysis: savings.meterAnalysis,
+      billing_issues: savings.billingIssues
+    },
+    changes
+  };
+}
+
+async function getInvoiceAuditLog(userId, invoiceId) {
+  const { data, error } = await supabase
+    .from('invoice_audit_log')
+    .select('*')
+    .eq('invoice_id', invoiceId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  if (error) return { error: error.message };
+  return { entries: data || [] };
+}
+
+module.exports = { correctInvoice, getInvoiceAuditLog };
@@ -0,0 +1,92 @@
+const supabase = require('./supabase');
+const { parseAmount } = require('./amounts');
+const { normalizeInvoiceNumber } = require('./duplicates');
+
+function flipSign(value) {
+  return value === null || value === undefined ? value : 0 - parseAmount(value);
+}
+
+// Credit memos are stored with negative amounts so they net against spend.
+// Some print their figures unsigned under a CREDIT MEMO heading; those are
+// flipped here, lines and fees included.
+function signCreditMemo(parsed) {
+  if (parseAmount(parsed.total) <= 0) return parsed;
+
+  return {
+    ...parsed,
+    equipment: (parsed.equipment || []).map(item => ({
+      ...item,
+      amount: flipSign(item.amount),
+      meter_charge: flipSign(item.meter_charge)
+    })),
+    fees: Object.fromEntries(Object.entries(parsed.fees || {}).map(([category, amount]) => [category, flipSign(amount)])),
+    rental_subtotal: flipSign(parsed.rental_subtotal),
+    freight: flipSign(parsed.freight),
+    meter_charges: flipSign(parsed.meter_charges),
+    tax: flipSign(parsed.tax),
+    total: flipSign(parsed.total)
+  };
+}
+
+async function vendorInvoices({ userId, vendorNormalized }, columns) {
+  let query = supabase
+    .from('parsed_invoices')
+    .select(columns)
+    .eq('vendor_normalized', vendorNormalized);
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query;
+  if (error) {
+    console.log('Credit memo lookup failed:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// Point a stored credit memo at the invoice it credits, matched on invoice
+// number within the same user and vendor. Returns the invoice id, or null when
+// that invoice hasn't been uploaded yet.
+async function linkCreditMemo({ id, userId, vendorNormalized, originalInvoiceNumber }) {
+  const target = normalizeInvoiceNumber(originalInvoiceNumber);
+  if (!target || !vendorNormalized) return null;
+
+  const rows = await vendorInvoices({ userId, vendorNormalized }, 'id, invoice_number, invoice_type');
+  const original = rows.find(row =>
+    row.id !== id &&
+    row.invoice_type !== 'credit_memo' &&
+    normalizeInvoiceNumber(row.invoice_number) === target
+  );
+  if (!original) return null;
+
+  const { error } = await supabase.from('parsed_invoices').update({ credited_invoice_id: original.id }).eq('id', id);
+  if (error) {
+    console.log('Could not link credit memo:', error.message);
+    return null;
+  }
+  return original.id;
+}
+
+// Link credit memos uploaded before the invoice they credit. Returns their ids.
+async function linkEarlierCreditMemos({ id, userId, vendorNormalized, invoiceNumber }) {
+  const target = normalizeInvoiceNumber(invoiceNumber);
+  if (!target || !vendorNormalized) return [];
+
+  const rows = await vendorInvoices({ userId, vendorNormalized }, 'id, invoice_type, original_invoice_number, credited_invoice_id');
+  const ids = rows
+    .filter(row =>
+      row.invoice_type === 'credit_memo' &&
+      !row.credited_invoice_id &&
+      normalizeInvoiceNumber(row.original_invoice_number) === target
+    )
+    .map(row => row.id);
+  if (ids.length === 0) return [];
+
+  const { error } = await supabase.from('parsed_invoices').update({ credited_invoice_id: id }).in('id', ids);
+  if (error) {
+    console.log('Could not link credit memos:', error.message);
+    return [];
+  }
+  return ids;
+}
+
+module.exports = { signCreditMemo, linkCreditMemo, linkEarlierCreditMemos };
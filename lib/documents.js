@@ -0,0 +1,34 @@
+// invoice_type stored for each classified document type. Rentals keep the
+// value they were stored with before classification existed.
+const INVOICE_TYPES = {
+  rental: 'equipment_rental',
+  sale: 'sale',
+  service: 'service',
+  fuel: 'fuel',
+  credit_memo: 'credit_memo',
+  statement: 'statement'
+};
+
+// Document types read with the rental layout (equipment lines, rental_subtotal)
+const RENTAL_LAYOUT_TYPES = ['rental', 'credit_memo'];
+
+function invoiceTypeFor(documentType) {
+  return INVOICE_TYPES[documentType] || 'unknown';
+}
+
+// Market-rate savings, meter checks and billing-period checks only make sense
+// for rental invoices. Rows stored before classification are 'unknown' and
+// count as rentals when they have equipment lines, as they always did.
+function isRentalInvoice(invoice) {
+  if (invoice.invoice_type === INVOICE_TYPES.rental) return true;
+  if (invoice.invoice_type && invoice.invoice_type !== 'unknown') return false;
+  return (invoice.equipment || []).length > 0;
+}
+
+// Document type of a stored invoice, the reverse of invoiceTypeFor
+function documentTypeOf(invoice) {
+  if (isRentalInvoice(invoice)) return 'rental';
+  return Object.keys(INVOICE_TYPES).find(type => INVOICE_TYPES[type] === invoice.invoice_type) || 'rental';
+}
+
+module.exports = { INVOICE_TYPES, RENTAL_LAYOUT_TYPES, invoiceTypeFor, isRentalInvoice, documentTypeOf };
@@ -0,0 +1,51 @@
+const supabase = require('./supabase');
+const { parseAmount } = require('./amounts');
+
+// "INV-000123" and "inv 123" are the same invoice: leading zeros are dropped
+// from each run of digits, then everything but letters and digits
+function normalizeInvoiceNumber(invoiceNumber) {
+  const normalized = String(invoiceNumber || '')
+    .toUpperCase()
+    .replace(/(^|[^0-9])0+(?=\d)/g, '$1')
+    .replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+}
+
+// Look for an invoice this user already uploaded. Matches on invoice number first;
+// when either side has no invoice number, falls back to same vendor, date and total.
+async function findDuplicateInvoice({ userId, vendorNormalized, invoiceNumber, invoiceDate, total }) {
+  if (!vendorNormalized) return null;
+
+  let query = supabase
+    .from('parsed_invoices')
+    .select('id, invoice_number, invoice_date, total')
+    .eq('vendor_normalized', vendorNormalized)
+    .order('created_at', { ascending: false });
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query;
+  if (error) {
+    console.log('Duplicate check failed:', error.message);
+    return null;
+  }
+
+  const target = normalizeInvoiceNumber(invoiceNumber);
+  if (target) {
+    const match = (data || []).find(row => normalizeInvoiceNumber(row.invoice_number) === target);
+    if (match) return { id: match.id, match_type: 'invoice_number' };
+  }
+
+  const amount = parseAmount(total);
+  if (invoiceDate && amount) {
+    const match = (data || []).find(row =>
+      (!target || !normalizeInvoiceNumber(row.invoice_number)) &&
+      row.invoice_date === invoiceDate &&
+      Math.abs(parseAmount(row.total) - amount) < 0.01
+    );
+    if (match) return { id: match.id, match_type: 'vendor_date_total' };
+  }
+
+  return null;
+}
+
+module.exports = { findDuplicateInvoice, normalizeInvoiceNumber };
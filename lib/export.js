@@ -0,0 +1,159 @@
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify/sync');
+
+const { FEE_CATEGORIES } = require('./schema');
+
+// [header, value getter] pairs for each export view
+const INVOICE_COLUMNS = [
+  ['Invoice ID', inv => inv.id],
+  ['Vendor', inv => inv.vendor_name],
+  ['Document Type', inv => inv.invoice_type],
+  ['Invoice Number', inv => inv.invoice_number],
+  ['Invoice Date', inv => inv.invoice_date],
+  ['PO Number', inv => inv.po_number],
+  ['Customer', inv => inv.customer_name],
+  ['Job Site', inv => inv.job_site],
+  ['Billed From', inv => inv.billed_from],
+  ['Billed Through', inv => inv.billed_through],
+  ['Rental Subtotal', inv => amount(inv.rental_subtotal)],
+  ['Subtotal', inv => amount(inv.subtotal)],
+  ['Line Items', inv => (inv.line_items || []).length || null],
+  ['Freight', inv => amount(inv.freight)],
+  ['Fuel Surcharge', inv => amount(fee(inv, 'fuel_surcharge'))],
+  ['Environmental', inv => amount(fee(inv, 'environmental'))],
+  ['Rental Protection', inv => amount(fee(inv, 'rental_protection'))],
+  ['Transport Surcharge', inv => amount(fee(inv, 'transport_surcharge'))],
+  ['Admin Fee', inv => amount(fee(inv, 'admin_fee'))],
+  ['Other Fees', inv => amount(otherFees(inv))],
+  ['Meter Charges', inv => amount(inv.meter_charges)],
+  ['Fees Total', inv => amount(inv.fees_total)],
+  ['Fee %', inv => amount(inv.fee_percentage)],
+  ['Tax', inv => amount(inv.tax)],
+  ['Total', inv => amount(inv.total)],
+  ['Potential Savings', inv => amount(inv.market_savings)],
+  ['Confidence', inv => inv.confidence]
+];
+
+const LINE_COLUMNS = [
+  ['Invoice ID', line => line.invoice.id],
+  ['Vendor', line => line.invoice.vendor_name],
+  ['Invoice Number', line => line.invoice.invoice_number],
+  ['Invoice Date', line => line.invoice.invoice_date],
+  ['Job Site', line => line.invoice.job_site],
+  ['Line Type', line => line.type],
+  ['Description', line => line.item.description],
+  ['Part Number', line => line.item.part_number ?? null],
+  ['Quantity', line => line.item.quantity ?? line.item.gallons ?? null],
+  ['Unit Price', line => amount(line.item.unit_price ?? line.item.price_per_gallon)],
+  ['Serial Number', line => line.item.serial_number],
+  ['Day Rate', line => amount(line.item.day_rate)],
+  ['Week Rate', line => amount(line.item.week_rate)],
+  ['4-Week Rate', line => amount(line.item.four_week_rate)],
+  ['Rental Days', line => line.item.rental_days ?? null],
+  ['Amount', line => amount(line.item.amount)],
+  ['Meter Out', line => line.item.meter_out ?? null],
+  ['Meter In', line => line.item.meter_in ?? null],
+  ['Meter Charge', line => amount(line.item.meter_charge)],
+  ['Overage Hours', line => line.meter.overage_hours ?? null],
+  ['Expected Meter Charge', line => amount(line.meter.expected_charge)],
+  ['Equipment Class', line => line.rates.equipment_class],
+  ['Equipment Size', line => line.rates.equipment_size],
+  ['Market Rate Low', line => amount(line.rates.market_rate_low)],
+  ['Market Rate Avg', line => amount(line.rates.market_rate_avg)],
+  ['Market Rate High', line => amount(line.rates.market_rate_high)],
+  ['Overpaid', line => amount(line.rates.total_overpaid)],
+  ['Overpaid %', line => amount(line.rates.overpaid_percentage)]
+];
+
+function amount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? null : Math.round(n * 100) / 100;
+}
+
+function fee(invoice, category) {
+  return (invoice.fees || {})[category] ?? null;
+}
+
+function otherFees(invoice) {
+  return Object.entries(invoice.fees || {})
+    .filter(([name]) => !FEE_CATEGORIES.includes(name))
+    .reduce((sum, [, value]) => sum + (parseFloat(value) || 0), 0);
+}
+
+function sameLine(a, b) {
+  return a.description === b.description &&
+    (a.serial_number || null) === (b.serial_number || null) &&
+    parseFloat(a.amount) === parseFloat(b.amount);
+}
+
+// One row per equipment line, joined to its market-rate match and meter
+// analysis when it has them, then one per sale, service or fuel line item.
+// Statement entries are other invoices, not lines, and are left out.
+function flattenEquipmentLines(invoices) {
+  const lines = [];
+  for (const invoice of invoices) {
+    const rated = invoice.equipment_with_rates || [];
+    const metered = (invoice.meter_analysis && invoice.meter_analysis.lines) || [];
+    (invoice.equipment || []).forEach((item, index) => {
+      const meter = metered.find(m => m.index === index);
+      lines.push({ invoice, item, type: 'equipment', rates: rated.find(r => sameLine(r, item)) || {}, meter: meter ? meter.meter : {} });
+    });
+    if (invoice.invoice_type === 'statement') continue;
+    for (const item of invoice.line_items || []) {
+      lines.push({ invoice, item, type: item.line_type || invoice.invoice_type, rates: {}, meter: {} });
+    }
+  }
+  return lines;
+}
+
+function toTable(columns, records) {
+  return {
+    headers: columns.map(([header]) => header),
+    rows: records.map(record => columns.map(([, get]) => get(record) ?? null))
+  };
+}
+
+function invoicesTable(invoices) {
+  return toTable(INVOICE_COLUMNS, invoices);
+}
+
+function equipmentLinesTable(invoices) {
+  return toTable(LINE_COLUMNS, flattenEquipmentLines(invoices));
+}
+
+// Spreadsheets opening a CSV run a cell starting with = + - @ (or a tab or
+// carriage return) as a formula. Text pulled off an invoice could carry one, so
+// such strings are prefixed with ' to keep them as text. XLSX cells are typed,
+// so workbooks get the raw values. Numbers, including negative amounts
+// already formatted as strings, are left alone.
+function safeCell(value) {
+  if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+  if (/^[-+]?\d[\d,]*(\.\d+)?$/.test(value)) return value;
+  return `'${value}`;
+}
+
+function safeRows(rows) {
+  return rows.map(row => row.map(safeCell));
+}
+
+function toCsv({ headers, rows }) {
+  return stringify(safeRows([headers, ...rows]));
+}
+
+// sheets: [{ name, table }]
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const { name, table } of sheets) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.addRow(table.headers).font = { bold: true };
+    for (const row of table.rows) sheet.addRow(row);
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.columns.forEach((column, i) => {
+      column.width = Math.min(40, Math.max(10, table.headers[i].length + 2));
+    });
+  }
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { invoicesTable, equipmentLinesTable, flattenEquipmentLines, toCsv, toXlsx, safeRows };
@@ -0,0 +1,589 @@
+const supabase = require('./supabase');
+const { parseAmount } = require('./amounts');
+const {
+  INVOICE_SCHEMA,
+  CREDIT_MEMO_SCHEMA,
+  CLASSIFICATION_SCHEMA,
+  SALE_INVOICE_SCHEMA,
+  SERVICE_INVOICE_SCHEMA,
+  FUEL_INVOICE_SCHEMA,
+  STATEMENT_SCHEMA,
+  validateSchema
+} = require('./schema');
+const { getExtractionProvider } = require('./providers');
+
+// Repair rounds after the first response fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Pages sent to the model in a single request. Most invoices fit in one call so the
+// model sees the whole document; longer ones are split and merged afterwards
+const PAGES_PER_REQUEST = 5;
+
+// The document type is read off the opening pages; the rest rarely change it
+const CLASSIFY_PAGES = 2;
+
+const CLASSIFY_PROMPT = `Classify this document from a construction company's accounts payable.
+
+Choose one document_type:
+- rental: equipment rental invoice (machines billed by the day, week or 4-week cycle)
+- sale: sale of parts, materials, supplies or equipment (quantities and unit prices)
+- service: repair or service invoice (labor hours, parts, travel for work on a machine)
+- fuel: fuel delivery invoice (gallons of diesel or gasoline)
+- credit_memo: a credit memo / credit note that reduces an earlier invoice
+- statement: account statement listing several invoices and a balance due
+
+Use credit_memo whenever the document is titled CREDIT MEMO or CREDIT NOTE, whatever it credits.
+Use statement only when the document lists other invoices rather than charging for anything itself.
+
+Return ONLY valid JSON: {"document_type": "...", "confidence": "high" | "medium" | "low"}`;
+
+// Per-field confidence and location, shared by every extraction prompt
+const SOURCES_SECTION = `===========================================
+CONFIDENCE AND SOURCE LOCATIONS
+===========================================
+For every line (equipment line, line item or statement entry) fill "source":
+- confidence: "high" when clearly printed, "medium" when partly obscured or inferred, "low" when guessed
+- page: the page number the line is printed on (the first page given to you is page 1 unless told otherwise)
+- bbox: [x, y, width, height] of the line on that page as fractions of the page width and height
+  (0,0 is the top-left corner), or null if you cannot place it
+
+In "field_sources", add one entry for every other field you filled in from the document,
+such as vendor, invoice_number, invoice_date, billed_from, billed_through, po_number,
+rental_subtotal / subtotal, freight, each non-zero fee ("fees.fuel_surcharge"), tax and total:
+{"field": "invoice_date", "confidence": "high", "page": 1, "bbox": [0.71, 0.08, 0.14, 0.02]}
+Omit fields that are not on the document. Boxes only need to be approximate.`;
+
+const INVOICE_PROMPT = `You are an expert invoice parser for construction equipment rentals. Extract ALL charges from this invoice.
+
+===========================================
+CRITICAL: SCAN THE ENTIRE INVOICE LINE BY LINE
+===========================================
+Read every single line item on this invoice. Do not skip any charges.
+
+===========================================
+EQUIPMENT & METER CHARGES
+===========================================
+For each piece of equipment, extract:
+- description, serial_number, day_rate, week_rate, four_week_rate, rental_days, amount
+- amount is the extended charge printed on the line; use null (NOT 0) when the line shows no amount
+- meter_out, meter_in, meter_charge (null when the line has no hour meter)
+- off_rent_date: the date the machine was returned / called off rent, if the line shows one (YYYY-MM-DD)
+
+IMPORTANT - METER CHARGES: Look for "Meter chg", "Meter charge", "Hour meter", "Meter out/in" on equipment lines.
+Put the hour meter readings on that equipment line in "meter_out" and "meter_in".
+If you see "Meter chg: $X" or similar on an equipment line, that is a METER OVERAGE charge:
+put it in that line's "meter_charge", and NOT in the line's "amount".
+Also add ALL meter charges together and put the total in "meter_charges".
+
+Example: "Meter out: 679.20 Meter in: 695.20 Meter chg: 1,350.53"
+→ meter_out: 679.20, meter_in: 695.20, meter_charge: 1350.53, and meter_charges: 1350.53
+
+===========================================
+FREIGHT / DELIVERY / PICKUP
+===========================================
+Add together ALL of these and put the TOTAL in "freight":
+- DELIVERY CHARGE, DELIVERY FEE, DELIVERY
+- PICKUP CHARGE, PICKUP FEE, PICK UP, PICK-UP
+- FREIGHT, FREIGHT CHARGE
+- HAULING, CARTAGE, TRUCKING
+- MOBILIZATION, DEMOBILIZATION, MOB/DEMOB
+
+Example: DELIVERY CHARGE $220 + PICKUP CHARGE $220 = freight: 440
+
+===========================================
+FEES - PUT IN "fees" OBJECT
+===========================================
+FUEL CHARGES → fees.fuel_surcharge:
+- REFUELING SERVICE CHARGE
+- REFUEL CHARGE
+- FUEL SURCHARGE
+- FUEL SERVICE
+- DSL (diesel fuel)
+
+ENVIRONMENTAL → fees.environmental:
+- ENVIRONMENTAL SERVICE CHARGE
+- ENV CHARGE
+- ENVIRONMENTAL FEE
+
+RENTAL PROTECTION → fees.rental_protection:
+- RENTAL PROTECTION
+- DAMAGE WAIVER
+- LDW
+- PHYSICAL DAMAGE WAIVER
+- PDW
+- EQUIPMENT PROTECTION
+
+ADMIN/OTHER → fees.admin_fee or fees.other:
+- ADMIN FEE
+- SERVICE FEE
+- PROCESSING FEE
+
+TRANSPORT SURCHARGE → fees.transport_surcharge:
+- TRANS SRVC SURCHARGE
+- TRANSPORT SURCHARGE
+- TRANSPORTATION SURCHARGE
+(This is different from delivery/freight - it's a percentage surcharge)
+
+===========================================
+TAXES - DO NOT PUT IN FEES
+===========================================
+These are TAXES, not fees. Add them to the "tax" field:
+- SALES TAX
+- STATE TAX
+- PROPERTY TAX (like "TX UNIT PROPERTY TAX")
+- DIESEL TAX (like "TEXAS DIESEL TAX")
+- Any line with "TAX" in the name
+
+===========================================
+CREDITS AND NEGATIVE LINES
+===========================================
+Off-rent credits, adjustments, discounts and fee reversals are NEGATIVE amounts.
+Keep them as their own equipment lines or fee amounts with a minus sign - do NOT drop them
+and do NOT net them into another line.
+Amounts printed in parentheses "(125.00)", with a trailing minus "125.00-" or marked "CR" are negative.
+
+Example: "OFF RENT CREDIT 2 DAYS (330.00)" → equipment line with amount: -330.00
+
+===========================================
+RENTAL SUBTOTAL
+===========================================
+This is ONLY the equipment rental charges. 
+Look for "Rental Subtotal" on the invoice.
+DO NOT include fees, freight, tax, fuel, or meter charges.
+
+===========================================
+BILLING DATES - CRITICAL FOR RENTAL PERIOD
+===========================================
+Look for "Billed From" / "Billed Through" or "Rental Start" / "Rental End" dates.
+These tell us the actual rental duration. Extract them in YYYY-MM-DD format.
+Calculate rental_days by counting days between these dates.
+
+Example: Billed From: 05/27/25, Billed Through: 06/24/25 = 28 days
+
+===========================================
+JOB SITE & ADDRESSES
+===========================================
+Include the full job site / ship-to address (street, city, state, zip) in "job_site" when shown.
+Put the customer's bill-to address in "customer_address".
+
+${SOURCES_SECTION}
+
+===========================================
+RETURN THIS JSON
+===========================================
+{
+  "vendor": "Company name",
+  "invoice_number": "Invoice number",
+  "invoice_date": "YYYY-MM-DD",
+  "billed_from": "YYYY-MM-DD or null",
+  "billed_through": "YYYY-MM-DD or null",
+  "po_number": "PO or null",
+  "customer_name": "Customer name",
+  "customer_address": "Customer billing address or null",
+  "job_site": "Job site name and address or null",
+  "equipment": [
+    {
+      "description": "Equipment description",
+      "serial_number": "Serial or null",
+      "day_rate": 0.00,
+      "week_rate": 0.00,
+      "four_week_rate": 0.00,
+      "rental_days": 28,
+      "amount": 0.00,
+      "meter_out": null,
+      "meter_in": null,
+      "meter_charge": null,
+      "off_rent_date": "YYYY-MM-DD or null",
+      "source": { "confidence": "high", "page": 1, "bbox": [0.05, 0.42, 0.9, 0.03] }
+    }
+  ],
+  "rental_subtotal": 0.00,
+  "freight": 0.00,
+  "meter_charges": 0.00,
+  "fees": {
+    "fuel_surcharge": 0.00,
+    "environmental": 0.00,
+    "rental_protection": 0.00,
+    "transport_surcharge": 0.00,
+    "admin_fee": 0.00,
+    "other": 0.00
+  },
+  "tax": 0.00,
+  "total": 0.00,
+  "confidence": "high",
+  "field_sources": [
+    { "field": "invoice_number", "confidence": "high", "page": 1, "bbox": [0.71, 0.05, 0.2, 0.02] }
+  ]
+}
+
+IMPORTANT: Calculate rental_days from billed_from to billed_through. Do NOT default to 1 day.
+If dates show a 28-day period, rental_days should be 28, not 1.
+
+Return ONLY valid JSON. No markdown. No explanation.`;
+
+// Freight, fee and tax rules shared by the sale, service and fuel prompts
+const CHARGES_SECTION = `===========================================
+FREIGHT, FEES AND TAX
+===========================================
+Put delivery, pickup, freight, hauling and trucking charges in "freight" (add them together).
+Put surcharges and fees in the "fees" object: fuel_surcharge, environmental, rental_protection,
+transport_surcharge, admin_fee, other. Use 0 for fees that are not on the document.
+Put every tax line (sales tax, state tax, fuel taxes) in "tax".
+"subtotal" is the sum of the line items only, before freight, fees and tax.
+
+===========================================
+HEADER
+===========================================
+Extract vendor, invoice_number, invoice_date (YYYY-MM-DD), po_number, customer_name,
+customer_address (bill-to) and job_site (full ship-to / job address) when shown.
+Set confidence to high, medium or low depending on how legible the document is.
+
+${SOURCES_SECTION}
+
+Return ONLY valid JSON. No markdown. No explanation.`;
+
+const SALE_PROMPT = `You are an expert invoice parser for construction parts, materials and equipment sales. Extract ALL charges from this invoice.
+
+Read every line item. For each line in "line_items" extract:
+- description, part_number (SKU / item number or null), quantity, unit (EA, FT, BAG, ...), unit_price, amount
+
+${CHARGES_SECTION}`;
+
+const SERVICE_PROMPT = `You are an expert invoice parser for construction equipment repair and service. Extract ALL charges from this invoice.
+
+Extract work_order, equipment_serviced (make / model / unit description) and serial_number of the machine worked on.
+Read every line item. For each line in "line_items" extract:
+- description
+- line_type: "labor" for mechanic / technician hours, "parts" for parts and materials,
+  "travel" for travel time, mileage or service truck charges, "other" for anything else
+- quantity (hours for labor, count for parts), unit_price, amount
+
+${CHARGES_SECTION}`;
+
+const FUEL_PROMPT = `You are an expert invoice parser for fuel deliveries to construction sites. Extract ALL charges from this invoice.
+
+Read every delivery line. For each line in "line_items" extract:
+- description, delivery_date (YYYY-MM-DD), fuel_type (e.g. "Dyed Diesel", "Clear Diesel", "Gasoline", "DEF"),
+  gallons, price_per_gallon, amount
+Fuel taxes and environmental / LUST fees printed per gallon are NOT part of the line amount:
+taxes go in "tax", fees in "fees".
+
+${CHARGES_SECTION}`;
+
+const STATEMENT_PROMPT = `You are an expert parser of vendor account statements for a construction company.
+
+Extract vendor, account_number, statement_date (YYYY-MM-DD), customer_name and customer_address.
+For every invoice, credit or payment listed, add an entry to "entries" with invoice_number,
+invoice_date, due_date, amount (negative for credits and payments) and the open balance when shown.
+"balance_due" is the total amount due on the statement.
+Set confidence to high, medium or low depending on how legible the document is.
+
+${SOURCES_SECTION}
+
+Return ONLY valid JSON. No markdown. No explanation.`;
+
+const CREDIT_MEMO_NOTE = `
+
+===========================================
+THIS DOCUMENT IS A CREDIT MEMO
+===========================================
+Extract it with the same fields as an invoice, plus:
+- original_invoice_number: the invoice being credited ("Original Invoice", "Ref Invoice",
+  "Applies To", "Credit for Invoice"), or null when not shown
+- credit_reason: the reason given for the credit, or null
+Report the credited amounts as NEGATIVE numbers, including tax and total, even when the memo prints them without a sign.`;
+
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const jsonMatch = (content || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+async function logRejectedExtraction({ provider, content, errors, attempt, pages }) {
+  console.log(`[extraction] Rejected response on attempt ${attempt + 1}:`, errors.slice(0, 5).join('; '));
+  const { error } = await supabase.from('extraction_rejections').insert({
+    model: provider.model,
+    attempt: attempt + 1,
+    page_numbers: pages.map(p => p.page),
+    errors,
+    content
+  });
+  if (error) console.log('Could not log rejected extraction:', error.message);
+}
+
+// Lists whose rows carry their own `source`
+const LINE_LISTS = ['equipment', 'line_items', 'entries'];
+
+function cleanSource(source, pageNumbers) {
+  const bbox = source.bbox;
+  const validBox = Array.isArray(bbox) && bbox.length === 4 &&
+    bbox.every(n => typeof n === 'number' && n >= 0 && n <= 1) && bbox[2] > 0 && bbox[3] > 0;
+  return {
+    ...source,
+    page: pageNumbers.includes(source.page) ? source.page : null,
+    bbox: validBox ? bbox : null
+  };
+}
+
+// Drop source locations the model couldn't have read: pages it wasn't given and
+// boxes that aren't [x, y, width, height] fractions of the page
+function cleanSources(parsed, pages) {
+  const pageNumbers = pages.map(p => p.page);
+  const cleaned = { ...parsed };
+  for (const list of LINE_LISTS) {
+    if (!Array.isArray(parsed[list])) continue;
+    cleaned[list] = parsed[list].map(row => (row.source ? { ...row, source: cleanSource(row.source, pageNumbers) } : row));
+  }
+  if (Array.isArray(parsed.field_sources)) {
+    cleaned.field_sources = parsed.field_sources.map(source => cleanSource(source, pageNumbers));
+  }
+  return cleaned;
+}
+
+// One source per field after merging chunks. A field printed on several pages
+// (a repeated header, a running total) keeps its last location.
+function latestSourcePerField(fieldSources) {
+  const byField = new Map();
+  for (const source of fieldSources || []) byField.set(source.field, source);
+  return [...byField.values()];
+}
+
+// Extract one chunk of pages. Responses are constrained to the extractor's
+// schema and validated again here; on failure the model is shown the errors and
+// asked to repair its answer, up to MAX_REPAIR_ATTEMPTS times.
+async function extractPages(pages, totalPages, extractor) {
+  const provider = getExtractionProvider();
+  // Only extractors that read the document in chunks need to know which pages they hold
+  const pageNote = extractor.merge && totalPages > 1
+    ? `\n\nThis document has ${totalPages} pages. You are given pages ${pages[0].page}-${pages[pages.length - 1].page}. Extract every charge on these pages; line items often continue across pages.`
+    : '';
+
+  const repairs = [];
+  let content = null;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const response = await provider.extract({
+      prompt: extractor.prompt + pageNote,
+      images: pages,
+      schema: extractor.schema,
+      schemaName: extractor.schemaName,
+      repairs
+    });
+    content = response.content;
+
+    let parsed = null;
+    if (response.refusal) {
+      errors = [`Model refused: ${response.refusal}`];
+    } else {
+      parsed = parseJsonContent(content);
+      errors = parsed ? validateSchema(parsed, extractor.schema) : ['Response is not valid JSON'];
+    }
+
+    if (errors.length === 0) return { parsed: cleanSources(parsed, pages), content };
+
+    await logRejectedExtraction({ provider, content, errors, attempt, pages });
+    repairs.push({ content, errors });
+  }
+
+  return { error: `${extractor.label} failed schema validation`, content, validation_errors: errors };
+}
+
+// Concatenate one list (equipment, line_items, entries) across chunks. Chunks
+// don't overlap, so a row read twice is one that runs over a chunk boundary: it
+// sits on the first page of its chunk and matches a row on the last page of the
+// chunk before. Equipment lines also repeat when a serial number already read
+// turns up again. Identical rows anywhere else are separate charges, such as two
+// unserialed machines at the same rate, and are all kept.
+function mergeRows(extractions, list, chunkPages, keyOf) {
+  const merged = [];
+  const serialed = new Set();
+  let boundaryKeys = [];
+
+  extractions.forEach((extraction, index) => {
+    const pageNumbers = chunkPages[index] || [];
+    const firstPage = pageNumbers[0];
+    const lastPage = pageNumbers[pageNumbers.length - 1];
+    const chunkSerialed = [];
+    const chunkBoundaryKeys = [];
+
+    for (const row of extraction[list] || []) {
+      const key = keyOf(row);
+      const page = row.source ? row.source.page : null;
+      const hasSerial = typeof row.serial_number === 'string' && row.serial_number.trim() !== '';
+
+      if (hasSerial && serialed.has(key)) continue;
+      const repeated = page !== null && page === firstPage ? boundaryKeys.indexOf(key) : -1;
+      if (repeated !== -1) {
+        boundaryKeys.splice(repeated, 1);
+        continue;
+      }
+
+      merged.push(row);
+      if (hasSerial) chunkSerialed.push(key);
+      if (page !== null && page === lastPage) chunkBoundaryKeys.push(key);
+    }
+
+    chunkSerialed.forEach(key => serialed.add(key));
+    boundaryKeys = chunkBoundaryKeys;
+  });
+
+  return merged;
+}
+
+// Combine per-chunk extractions of one multi-page invoice into a single result.
+// `chunkPages` holds the page numbers each chunk was read from.
+function mergeInvoiceExtractions(extractions, chunkPages = []) {
+  if (extractions.length === 1) return extractions[0];
+
+  const headerFields = ['vendor', 'invoice_number', 'invoice_date', 'billed_from', 'billed_through', 'po_number', 'customer_name', 'customer_address', 'job_site', 'original_invoice_number', 'credit_reason'];
+  const confidenceRank = { low: 0, medium: 1, high: 2 };
+  const merged = {
+    equipment: mergeRows(extractions, 'equipment', chunkPages, item => [item.description, item.serial_number, item.amount].join('|').toLowerCase()),
+    fees: {},
+    freight: 0,
+    meter_charges: 0,
+    field_sources: []
+  };
+
+  for (const extraction of extractions) {
+    for (const field of headerFields) {
+      if (!merged[field] && extraction[field]) merged[field] = extraction[field];
+    }
+
+    // Document totals are printed once, in the summary on the last page, and
+    // repeated by chunks that carry a running total, so they are taken from
+    // the last chunk that prints them rather than added up
+    for (const field of ['rental_subtotal', 'freight', 'meter_charges', 'tax', 'total']) {
+      const value = parseAmount(extraction[field]);
+      if (value) merged[field] = value;
+    }
+
+    const fees = Object.entries(extraction.fees || {}).map(([feeName, feeAmount]) => [feeName, parseAmount(feeAmount)]);
+    if (fees.some(([, amount]) => amount)) merged.fees = Object.fromEntries(fees);
+
+    merged.field_sources.push(...(extraction.field_sources || []));
+
+    const rank = confidenceRank[extraction.confidence];
+    if (rank !== undefined && (merged.confidence === undefined || rank < confidenceRank[merged.confidence])) {
+      merged.confidence = extraction.confidence;
+    }
+  }
+
+  return merged;
+}
+
+// Combine per-chunk extractions of a sale, service, fuel or statement document:
+// header text from the first chunk that has it, line lists merged as in
+// mergeRows, field sources concatenated, fees and figures from the last chunk
+// that prints them
+function mergeDocumentExtractions(extractions, chunkPages = []) {
+  if (extractions.length === 1) return extractions[0];
+
+  const confidenceRank = { low: 0, medium: 1, high: 2 };
+  const merged = {};
+
+  for (const extraction of extractions) {
+    for (const [field, value] of Object.entries(extraction)) {
+      if (LINE_LISTS.includes(field)) {
+        // The same row read from two chunks differs only in where it was found
+        merged[field] = merged[field] || mergeRows(extractions, field, chunkPages, row => JSON.stringify({ ...row, source: undefined }).toLowerCase());
+      } else if (Array.isArray(value)) {
+        merged[field] = [...(merged[field] || []), ...value];
+      } else if (field === 'fees' && value && typeof value === 'object') {
+        const fees = Object.entries(value).map(([feeName, feeAmount]) => [feeName, parseAmount(feeAmount)]);
+        if (!merged.fees || fees.some(([, amount]) => amount)) merged.fees = Object.fromEntries(fees);
+      } else if (field === 'confidence') {
+        const rank = confidenceRank[value];
+        if (rank !== undefined && (merged.confidence === undefined || rank < confidenceRank[merged.confidence])) {
+          merged.confidence = value;
+        }
+      } else if (typeof value === 'number') {
+        if (value || merged[field] === undefined) merged[field] = value;
+      } else if (!merged[field]) {
+        merged[field] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+const INVOICE_EXTRACTOR = {
+  label: 'Invoice extraction',
+  prompt: INVOICE_PROMPT,
+  schema: INVOICE_SCHEMA,
+  schemaName: 'invoice',
+  merge: mergeInvoiceExtractions
+};
+
+// Prompt, schema and merge step for each document type
+const EXTRACTORS = {
+  rental: INVOICE_EXTRACTOR,
+  credit_memo: { ...INVOICE_EXTRACTOR, prompt: INVOICE_PROMPT + CREDIT_MEMO_NOTE, schema: CREDIT_MEMO_SCHEMA, schemaName: 'credit_memo' },
+  sale: { label: 'Sale invoice extraction', prompt: SALE_PROMPT, schema: SALE_INVOICE_SCHEMA, schemaName: 'sale_invoice', merge: mergeDocumentExtractions },
+  service: { label: 'Service invoice extraction', prompt: SERVICE_PROMPT, schema: SERVICE_INVOICE_SCHEMA, schemaName: 'service_invoice', merge: mergeDocumentExtractions },
+  fuel: { label: 'Fuel invoice extraction', prompt: FUEL_PROMPT, schema: FUEL_INVOICE_SCHEMA, schemaName: 'fuel_invoice', merge: mergeDocumentExtractions },
+  statement: { label: 'Statement extraction', prompt: STATEMENT_PROMPT, schema: STATEMENT_SCHEMA, schemaName: 'statement', merge: mergeDocumentExtractions }
+};
+
+const CLASSIFIER = {
+  label: 'Document classification',
+  prompt: CLASSIFY_PROMPT,
+  schema: CLASSIFICATION_SCHEMA,
+  schemaName: 'classification'
+};
+
+// Decide what kind of document the pages are. Falls back to a rental invoice,
+// the layout every upload was read with before classification existed, when
+// the classifier can't give a valid answer.
+async function classifyDocument(pages) {
+  const result = await extractPages(pages.slice(0, CLASSIFY_PAGES), pages.length, CLASSIFIER);
+  if (result.error) {
+    console.log('[extraction] Classification failed, reading as a rental invoice');
+    return { document_type: 'rental', confidence: 'low', fallback: true };
+  }
+  return result.parsed;
+}
+
+// Classify the document, then send the pages to the model in chunks with the
+// prompt and schema for its type and merge the results. Returns
+// { parsed, content, documentType, classification }, or
+// { error, content, validation_errors } when a chunk could not be repaired.
+async function extractInvoice(pages) {
+  const classification = await classifyDocument(pages);
+  const documentType = classification.document_type;
+  const extractor = EXTRACTORS[documentType];
+  console.log(`[extraction] Document type: ${documentType} (${classification.confidence})`);
+
+  const contents = [];
+  const extractions = [];
+  const chunkPages = [];
+  for (let i = 0; i < pages.length; i += PAGES_PER_REQUEST) {
+    const chunkOf = pages.slice(i, i + PAGES_PER_REQUEST);
+    const chunk = await extractPages(chunkOf, pages.length, extractor);
+    if (chunk.error) return chunk;
+    contents.push(chunk.content);
+    extractions.push(chunk.parsed);
+    chunkPages.push(chunkOf.map(p => p.page));
+  }
+
+  const merged = extractor.merge(extractions, chunkPages);
+  const parsed = { ...merged, field_sources: latestSourcePerField(merged.field_sources), document_type: documentType };
+  return { parsed, content: contents.join('\n'), documentType, classification };
+}
+
+module.exports = {
+  extractInvoice,
+  classifyDocument,
+  parseJsonContent,
+  mergeInvoiceExtractions,
+  mergeDocumentExtractions
+};
@@ -0,0 +1,40 @@
+const supabase = require('./supabase');
+
+async function saveGiveawayEntry(email, prizeVote, ipAddress) {
+  try {
+    if (!email) return { error: 'Email is required' };
+    
+    const referralCode = Math.random().toString(36).substring(2, 10).toUpperCase();
+    
+    const { data, error } = await supabase
+      .from('referrals')
+      .insert({
+        email: email,
+        referral_code: referralCode,
+        prize_vote: prizeVote,
+        referral_count: 0,
+        entered_drawing: true,
+        ip_address: ipAddress || null
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code === '23505') {
+        const { data: existing } = await supabase
+          .from('referrals')
+          .select('referral_code')
+          .eq('email', email)
+          .single();
+        return { success: true, referral_code: existing?.referral_code, message: 'Already registered' };
+      }
+      return { error: error.message };
+    }
+    
+    return { success: true, referral_code: referralCode };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = { saveGiveawayEntry };
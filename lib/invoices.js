@@ -0,0 +1,118 @@
+const supabase = require('./supabase');
+const { parseAmount } = require('./amounts');
+
+// Vendor/date/free-text filters shared by search and export
+function applyInvoiceFilters(dbQuery, query, filters = {}) {
+  if (filters.vendor) dbQuery = dbQuery.ilike('vendor_name', `%${filters.vendor}%`);
+  if (filters.vendor_normalized) dbQuery = dbQuery.eq('vendor_normalized', filters.vendor_normalized);
+  if (filters.date_from) dbQuery = dbQuery.gte('invoice_date', filters.date_from);
+  if (filters.date_to) dbQuery = dbQuery.lte('invoice_date', filters.date_to);
+  if (query) dbQuery = dbQuery.or(`invoice_number.ilike.%${query}%,po_number.ilike.%${query}%,job_site.ilike.%${query}%,vendor_name.ilike.%${query}%,customer_name.ilike.%${query}%`);
+  return dbQuery;
+}
+
+async function searchInvoices(userId, query, filters = {}) {
+  try {
+    if (!userId) return { error: 'User not logged in', invoices: [] };
+
+    let dbQuery = supabase
+      .from('parsed_invoices')
+      .select('id, vendor_name, invoice_number, invoice_date, po_number, job_site, customer_name, rental_subtotal, freight, fees_total, tax, total, fee_percentage, equipment')
+      .eq('user_id', userId)
+      .order('invoice_date', { ascending: false });
+
+    dbQuery = applyInvoiceFilters(dbQuery, query, filters);
+
+    const { data, error } = await dbQuery.limit(10);
+    if (error) return { error: error.message, invoices: [] };
+    return { invoices: data || [] };
+  } catch (err) {
+    return { error: err.message, invoices: [] };
+  }
+}
+
+// Every matching invoice, read in pages to get past the API's row limit
+async function fetchAllInvoices(userId, query, filters = {}, columns = '*') {
+  const pageSize = 1000;
+  const invoices = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    let dbQuery = supabase
+      .from('parsed_invoices')
+      .select(columns)
+      .eq('user_id', userId)
+      .order('invoice_date', { ascending: false })
+      .order('id', { ascending: true });
+    dbQuery = applyInvoiceFilters(dbQuery, query, filters);
+
+    const { data, error } = await dbQuery.range(offset, offset + pageSize - 1);
+    if (error) return { error: error.message };
+    invoices.push(...data);
+    if (data.length < pageSize) break;
+  }
+
+  return { invoices };
+}
+
+async function getInvoiceDetails(userId, invoiceId) {
+  try {
+    if (!userId) return { error: 'User not logged in' };
+    const { data, error } = await supabase
+      .from('parsed_invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .single();
+    if (error) return { error: error.message };
+    return { invoice: data };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+async function getSavingsSummary(userId, dateRange = {}) {
+  try {
+    if (!userId) return { error: 'User not logged in' };
+
+    let query = supabase
+      .from('parsed_invoices')
+      .select('id, invoice_type, invoice_date, vendor_name, market_savings, fee_percentage, fees_total, rental_subtotal, total')
+      .eq('user_id', userId);
+
+    if (dateRange.from) query = query.gte('invoice_date', dateRange.from);
+    if (dateRange.to) query = query.lte('invoice_date', dateRange.to);
+
+    const { data, error } = await query;
+    if (error) return { error: error.message };
+
+    // Credit memos are stored negative, so spend, rental and fee totals come out net of credits
+    const totalInvoices = data?.length || 0;
+    const creditMemos = data?.filter(inv => inv.invoice_type === 'credit_memo') || [];
+    const totalMarketSavings = data?.reduce((sum, inv) => sum + parseAmount(inv.market_savings), 0) || 0;
+    const totalFees = data?.reduce((sum, inv) => sum + parseAmount(inv.fees_total), 0) || 0;
+    const totalRental = data?.reduce((sum, inv) => sum + parseAmount(inv.rental_subtotal), 0) || 0;
+    const totalSpend = data?.reduce((sum, inv) => sum + parseAmount(inv.total), 0) || 0;
+    const totalCredits = creditMemos.reduce((sum, inv) => sum + parseAmount(inv.total), 0);
+    const avgFeePercentage = totalRental > 0 ? (totalFees / totalRental) * 100 : 0;
+
+    const topSavings = data?.filter(inv => inv.market_savings > 0)?.sort((a, b) => b.market_savings - a.market_savings)?.slice(0, 5) || [];
+
+    return {
+      summary: {
+        total_invoices: totalInvoices,
+        credit_memos: creditMemos.length,
+        total_potential_savings: totalMarketSavings.toFixed(2),
+        total_fees_paid: totalFees.toFixed(2),
+        total_rental_spend: totalRental.toFixed(2),
+        total_spend: totalSpend.toFixed(2),
+        total_credits: totalCredits.toFixed(2),
+        average_fee_percentage: avgFeePercentage.toFixed(1)
+      },
+      top_savings_opportunities: topSavings
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = { applyInvoiceFilters, searchInvoices, fetchAllInvoices, getInvoiceDetails, getSavingsSummary };
@@ -0,0 +1,240 @@
+const supabase = require('./supabase');
+const { processInvoice } = require('./pipeline');
+const { reprocessInvoices } = require('./reprocess');
+
+// Jobs processed at once by this instance's worker
+const JOB_CONCURRENCY = parseInt(process.env.PARSE_JOB_CONCURRENCY) || 2;
+
+// How long a claimed job stays reserved for its worker. A running job renews
+// its lease, so it only runs out when the worker has crashed or been frozen;
+// the job can then be claimed again.
+const LEASE_SECONDS = parseInt(process.env.PARSE_JOB_LEASE_SECONDS) || 300;
+
+// Claims before a job is given up on, so one that kills its worker isn't retried forever
+const MAX_ATTEMPTS = parseInt(process.env.PARSE_JOB_MAX_ATTEMPTS) || 3;
+
+// How often an idle worker looks for new jobs
+const POLL_INTERVAL_MS = parseInt(process.env.PARSE_JOB_POLL_MS) || 5000;
+
+// Columns callers may see. `input` holds the uploaded file and stays private.
+const PUBLIC_FIELDS = 'id, user_id, kind, status, stage, progress, invoice_id, result, error, attempts, created_at, updated_at, started_at, finished_at';
+
+let running = 0;
+let workerStarted = false;
+let pollTimer = null;
+
+// Writes made by a worker only land while it still holds the job's lease, so a
+// worker that lost its job to another instance can't overwrite that one's progress
+async function updateJob(job, fields) {
+  const { data, error } = await supabase
+    .from('parse_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('lease_token', job.lease_token)
+    .select('id');
+  if (error) console.log(`[jobs] Could not update job ${job.id}:`, error.message);
+  else if (data.length === 0) console.log(`[jobs] Job ${job.id} is no longer leased to this worker`);
+}
+
+function leaseExpiry() {
+  return new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+}
+
+async function createJob(userId, kind, input) {
+  const { data, error } = await supabase
+    .from('parse_jobs')
+    .insert({
+      user_id: userId || null,
+      kind,
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      input
+    })
+    .select(PUBLIC_FIELDS)
+    .single();
+
+  if (error) return { error: error.message };
+
+  wakeJobWorker();
+  return { job: data };
+}
+
+function createParseJob({ userId, base64, mimeType, replaceExisting }) {
+  return createJob(userId, 'parse', { base64, mimeType: mimeType || null, replaceExisting: !!replaceExisting });
+}
+
+// `options` are reprocessInvoices' filters, already checked against the caller's role
+function createReprocessJob({ userId, options }) {
+  return createJob(userId, 'reprocess', options);
+}
+
+// Scoped to the owner; someone else's job reads as not found
+async function getParseJob(jobId, userId) {
+  const { data, error } = await supabase
+    .from('parse_jobs')
+    .select(PUBLIC_FIELDS)
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) return { error: error.message };
+  if (!data) return { error: 'Job not found' };
+  return { job: data };
+}
+
+// Atomically take the oldest queued job, or one whose lease ran out. Resolves
+// to the job row with its lease, or null when there is nothing to run.
+async function claimParseJob() {
+  const { data, error } = await supabase.rpc('claim_parse_job', { p_lease_seconds: LEASE_SECONDS });
+  if (error) {
+    console.log('[jobs] Could not claim a job:', error.message);
+    return null;
+  }
+  return (data || [])[0] || null;
+}
+
+async function runJob(job) {
+  if (job.attempts > MAX_ATTEMPTS) {
+    console.log(`[jobs] Job ${job.id} given up after ${MAX_ATTEMPTS} attempts`);
+    await updateJob(job, {
+      status: 'failed',
+      stage: 'failed',
+      error: `Gave up after ${MAX_ATTEMPTS} attempts`,
+      lease_expires_at: null,
+      finished_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  const handler = JOB_HANDLERS[job.kind || 'parse'];
+  if (!handler) {
+    await updateJob(job, { status: 'failed', stage: 'failed', error: `Unknown job kind "${job.kind}"`, lease_expires_at: null, finished_at: new Date().toISOString() });
+    return;
+  }
+
+  console.log(`[jobs] Starting ${job.kind || 'parse'} job ${job.id} (attempt ${job.attempts})`);
+  const heartbeat = setInterval(() => updateJob(job, { lease_expires_at: leaseExpiry() }), LEASE_SECONDS * 1000 / 3);
+  try {
+    await updateJob(job, { stage: 'starting', progress: 0 });
+
+    const result = await handler(job, (stage, progress, extra = {}) => updateJob(job, { stage, progress, ...extra, lease_expires_at: leaseExpiry() }));
+
+    const finishedAt = new Date().toISOString();
+    if (result.error) {
+      await updateJob(job, {
+        status: 'failed',
+        stage: 'failed',
+        error: result.error,
+        result: result.details ? { details: result.details } : null,
+        lease_expires_at: null,
+        finished_at: finishedAt
+      });
+      console.log(`[jobs] Job ${job.id} failed: ${result.error}`);
+      return;
+    }
+
+    await updateJob(job, {
+      status: 'completed',
+      stage: 'completed',
+      progress: 100,
+      result: result.result,
+      // Drop the upload once it has been parsed
+      input: job.input.base64 ? { ...job.input, base64: null } : job.input,
+      lease_expires_at: null,
+      finished_at: finishedAt
+    });
+    console.log(`[jobs] Job ${job.id} completed`);
+  } catch (err) {
+    console.error(`[jobs] Job ${job.id} crashed:`, err);
+    await updateJob(job, { status: 'failed', stage: 'failed', error: err.message, lease_expires_at: null, finished_at: new Date().toISOString() });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Each job kind's work. A handler resolves to { result } or { error, details },
+// reporting progress as (stage, percent, extra columns).
+const JOB_HANDLERS = {
+  async parse(job, onProgress) {
+    const result = await processInvoice({
+      buffer: Buffer.from(job.input.base64, 'base64'),
+      mimeType: job.input.mimeType,
+      userId: job.user_id,
+      // A job interrupted after saving its invoice replaces that row when retried
+      replaceExisting: job.input.replaceExisting || !!job.invoice_id,
+      onProgress
+    });
+    if (result.error) return result;
+    return { result: result.duplicate ? result : { data: result.data, raw_response: result.raw_response } };
+  },
+
+  async reprocess(job, onProgress) {
+    let lastProgress = -1;
+    const report = await reprocessInvoices({
+      ...job.input,
+      // Written only when the percentage moves, not once per invoice
+      onInvoice: (invoice, index, count) => {
+        const progress = Math.floor(index / count * 100);
+        if (progress === lastProgress) return null;
+        lastProgress = progress;
+        return onProgress('reprocessing', progress);
+      }
+    });
+    if (report.error) return { error: report.error };
+    return { result: report };
+  }
+};
+
+// Claim and run jobs one at a time until none are left or `deadline` (a
+// timestamp in ms) has passed. Used by the cron route, where nothing may run
+// after the response. Resolves to the number of jobs run.
+async function runPendingJobs({ deadline = Infinity } = {}) {
+  let count = 0;
+  while (Date.now() < deadline) {
+    const job = await claimParseJob();
+    if (!job) break;
+    await runJob(job);
+    count++;
+  }
+  return count;
+}
+
+// Fill free worker slots with claimed jobs; poll again later when idle
+async function poll() {
+  while (running < JOB_CONCURRENCY) {
+    running++;
+    const job = await claimParseJob();
+    if (!job) {
+      running--;
+      break;
+    }
+    runJob(job).finally(() => {
+      running--;
+      poll();
+    });
+  }
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+}
+
+function wakeJobWorker() {
+  if (workerStarted) poll();
+}
+
+// Whether the API process runs jobs itself. Off with PARSE_JOB_WORKER=off, and
+// by default on Vercel, where a function is frozen once it has responded.
+function inlineJobWorker() {
+  return (process.env.PARSE_JOB_WORKER || (process.env.VERCEL ? 'off' : 'inline')) !== 'off';
+}
+
+// Poll for jobs in this process. Any number of instances can run a worker:
+// each job is claimed by exactly one of them, and jobs left by a stopped
+// instance are picked up once their lease runs out.
+function startJobWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+  console.log(`[jobs] Worker started (concurrency ${JOB_CONCURRENCY}, lease ${LEASE_SECONDS}s)`);
+  poll();
+}
+
+module.exports = { createParseJob, createReprocessJob, getParseJob, runPendingJobs, startJobWorker, inlineJobWorker };
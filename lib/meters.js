@@ -0,0 +1,105 @@
+// Meter-hour overage per equipment line. Each billed day, week and month comes
+// with an hour allowance from the vendor's billing rule (8h/day, 40h/week and
+// 160h per billing month by default); hours run past it are overtime.
+
+// Rule field holding the hour allowance of each billed unit from expectedAmount
+const UNIT_HOURS = {
+  day: 'hours_per_day',
+  'weekend day': 'hours_per_day',
+  'prorated day': 'hours_per_day',
+  week: 'hours_per_week',
+  month: 'hours_per_month'
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function reading(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+function allowanceHours(parts, rule) {
+  return parts.reduce((sum, p) => sum + p.count * (rule[UNIT_HOURS[p.unit]] || 0), 0);
+}
+
+// Overtime is priced pro rata from the longest period on the line, e.g. a
+// $4,600 4-week rate over 160 hours is $28.75 an hour
+function overtimeRate(parts, rule) {
+  const base = ['month', 'week', 'day', 'weekend day'].map(unit => parts.find(p => p.unit === unit)).find(Boolean)
+    || parts.find(p => p.unit === 'prorated day');
+  if (!base) return 0;
+
+  const hourly = base.unit === 'prorated day'
+    ? (base.rate * 7) / rule.hours_per_week
+    : base.rate / rule[UNIT_HOURS[base.unit]];
+  return hourly * (rule.overtime_rate_factor || 1);
+}
+
+// Compare a line's meter readings with what it was billed for. `expected` is the
+// line's expectedAmount result. Returns null for lines with no readings and no
+// meter charge.
+function analyzeMeterUsage(item, expected, rule) {
+  const meterOut = reading(item.meter_out);
+  const meterIn = reading(item.meter_in);
+  const billed = round2(reading(item.meter_charge) || 0);
+  const hasReadings = meterOut !== null && meterIn !== null && meterIn >= meterOut;
+  if (!hasReadings && billed === 0) return null;
+
+  const allowance = allowanceHours(expected.parts, rule);
+  const hourlyRate = round2(overtimeRate(expected.parts, rule));
+  const result = {
+    meter_out: meterOut,
+    meter_in: meterIn,
+    hours_used: hasReadings ? round2(meterIn - meterOut) : null,
+    allowance_hours: allowance,
+    overage_hours: null,
+    overtime_rate: hourlyRate,
+    expected_charge: null,
+    billed_charge: billed,
+    difference: null,
+    status: 'unverifiable',
+    flagged: false
+  };
+
+  if (!hasReadings) {
+    result.explanation = `Meter charge of $${billed.toFixed(2)} billed without readable meter out/in`;
+    return result;
+  }
+
+  const overage = round2(Math.max(0, result.hours_used - allowance));
+  const expectedCharge = round2(overage * hourlyRate);
+  const difference = round2(billed - expectedCharge);
+  const tolerance = Math.max(1, expectedCharge * rule.tolerance);
+
+  result.overage_hours = overage;
+  result.expected_charge = expectedCharge;
+  result.difference = difference;
+
+  if (overage === 0 && billed > 0) result.status = 'charged_without_overage';
+  else if (overage > 0 && billed === 0) result.status = 'overage_not_billed';
+  else if (Math.abs(difference) <= tolerance) result.status = 'ok';
+  else result.status = difference > 0 ? 'overbilled' : 'underbilled';
+  result.flagged = ['charged_without_overage', 'overbilled'].includes(result.status);
+
+  result.explanation = `${result.hours_used}h used against ${allowance}h allowed (${rule.name} rule): ` +
+    `${overage}h over × $${hourlyRate.toFixed(2)}/h = $${expectedCharge.toFixed(2)} expected, $${billed.toFixed(2)} billed`;
+  return result;
+}
+
+// Invoice-level totals over the analysed lines
+function summarizeMeterUsage(lines) {
+  const total = field => round2(lines.reduce((sum, line) => sum + (line.meter[field] || 0), 0));
+  return {
+    lines,
+    hours_used: total('hours_used'),
+    overage_hours: total('overage_hours'),
+    expected_charges: total('expected_charge'),
+    billed_charges: total('billed_charge'),
+    difference: total('difference'),
+    flagged_lines: lines.filter(line => line.meter.flagged).length
+  };
+}
+
+module.exports = { analyzeMeterUsage, summarizeMeterUsage };
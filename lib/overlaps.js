@@ -0,0 +1,206 @@
+const supabase = require('./supabase');
+const { fetchAllInvoices } = require('./invoices');
+const { isRentalInvoice } = require('./documents');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const COLUMNS = 'id, invoice_type, invoice_number, invoice_date, vendor_name, vendor_normalized, billed_from, billed_through, equipment';
+
+function normalizeSerial(serial) {
+  const normalized = String(serial || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+// Every billed period of every serial-numbered line, keyed by vendor and serial.
+// Lines without a serial number can't be matched across invoices and are skipped,
+// as are credit memos, which repeat the periods they credit.
+function billedPeriods(invoices) {
+  const groups = new Map();
+
+  for (const invoice of invoices.filter(isRentalInvoice)) {
+    const from = toDate(invoice.billed_from);
+    const through = toDate(invoice.billed_through);
+    if (!from || !through) continue;
+
+    (invoice.equipment || []).forEach((item, index) => {
+      const serial = normalizeSerial(item.serial_number);
+      if (!serial) return;
+
+      const key = `${invoice.vendor_normalized || ''}|${serial}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        vendor_name: invoice.vendor_name,
+        serial_number: item.serial_number,
+        description: item.description,
+        line_index: index,
+        billed_from: invoice.billed_from,
+        billed_through: invoice.billed_through,
+        off_rent_date: item.off_rent_date || null,
+        from,
+        through
+      });
+    });
+  }
+
+  return groups;
+}
+
+function periodRef(period) {
+  return {
+    invoice_id: period.invoice_id,
+    invoice_number: period.invoice_number,
+    line_index: period.line_index,
+    billed_from: period.billed_from,
+    billed_through: period.billed_through
+  };
+}
+
+function issue(type, periods, days, message) {
+  const [first] = periods;
+  return {
+    type,
+    vendor_name: first.vendor_name,
+    serial_number: first.serial_number,
+    description: first.description,
+    invoice_ids: [...new Set(periods.map(p => p.invoice_id))],
+    periods: periods.map(periodRef),
+    days,
+    message
+  };
+}
+
+// Compare the billing cycles of each machine in order. A cycle may start on the
+// day the previous one ended (cycle invoices share that boundary date); starting
+// earlier is an overlap, starting more than a day later leaves a gap. Any cycle
+// running past an off-rent date shown on the same or an earlier invoice is
+// billed after the machine went back. A cycle starting after that date is a
+// new rental of the machine, and the date no longer applies from there on.
+function findBillingIssues(invoices) {
+  const issues = [];
+
+  for (const periods of billedPeriods(invoices).values()) {
+    periods.sort((a, b) => a.from - b.from || a.through - b.through);
+
+    // Compare each cycle with the one reaching furthest before it, so a short
+    // cycle inside a long one doesn't hide a later overlap or report a false gap
+    let latest = periods[0];
+    for (const current of periods.slice(1)) {
+      if (latest.invoice_id !== current.invoice_id) {
+        const overlap = daysBetween(current.from, latest.through);
+        const gap = daysBetween(latest.through, current.from) - 1;
+        if (overlap > 0) {
+          issues.push(issue('overlap', [latest, current], overlap,
+            `${current.serial_number} billed twice for ${overlap} day(s): invoice ${latest.invoice_number || latest.invoice_id} runs to ${latest.billed_through}, invoice ${current.invoice_number || current.invoice_id} starts ${current.billed_from}`));
+        } else if (gap > 0) {
+          issues.push(issue('gap', [latest, current], gap,
+            `${current.serial_number} has a ${gap}-day gap between ${latest.billed_through} and ${current.billed_from}`));
+        }
+      }
+      if (current.through > latest.through) latest = current;
+    }
+
+    // Walk the cycles in order, carrying the off-rent date seen so far
+    let offRent = null;
+    for (const period of periods) {
+      if (offRent && period.from > offRent.date) offRent = null;
+      const date = toDate(period.off_rent_date);
+      if (date && (!offRent || date < offRent.date)) offRent = { period, date };
+      if (!offRent || period.through <= offRent.date) continue;
+
+      const extraDays = daysBetween(offRent.date, period.through);
+      const related = period === offRent.period ? [period] : [offRent.period, period];
+      issues.push(issue('billed_after_off_rent', related, extraDays,
+        `${period.serial_number} went off rent ${offRent.period.off_rent_date} but invoice ${period.invoice_number || period.invoice_id} bills through ${period.billed_through}`));
+    }
+  }
+
+  return issues;
+}
+
+// JSON with object keys sorted, for comparing against jsonb, which doesn't
+// keep key order
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Every invoice from one vendor, paged past the row limit, with the issues
+// currently stored on each
+function loadVendorInvoices(userId, vendorNormalized) {
+  return fetchAllInvoices(userId, null, { vendor_normalized: vendorNormalized }, `${COLUMNS}, billing_issues`);
+}
+
+// Recheck one vendor's invoices for a user and store the issues that involve
+// each invoice in its billing_issues column. Only rows whose issues changed
+// are written.
+async function refreshBillingIssues(userId, vendorNormalized) {
+  if (!userId || !vendorNormalized) return { issues: [] };
+
+  const { invoices, error } = await loadVendorInvoices(userId, vendorNormalized);
+  if (error) {
+    console.log('Billing overlap check failed:', error);
+    return { error };
+  }
+
+  const issues = findBillingIssues(invoices);
+  for (const invoice of invoices) {
+    const own = issues.filter(i => i.invoice_ids.includes(invoice.id));
+    const billingIssues = own.length > 0 ? own : null;
+    if (stableJson(billingIssues) === stableJson(invoice.billing_issues)) continue;
+
+    const { error: updateError } = await supabase
+      .from('parsed_invoices')
+      .update({ billing_issues: billingIssues })
+      .eq('id', invoice.id);
+    if (updateError) console.log(`Could not store billing issues for ${invoice.id}:`, updateError.message);
+  }
+
+  return { issues };
+}
+
+// Billing issues across a user's invoices, optionally narrowed by vendor,
+// serial number or issue type
+async function getBillingIssues(userId, { vendor, serialNumber, type } = {}) {
+  try {
+    if (!userId) return { error: 'User not logged in' };
+
+    const { invoices, error } = await fetchAllInvoices(userId, null, {}, COLUMNS);
+    if (error) return { error };
+
+    const serial = normalizeSerial(serialNumber);
+    const vendorLower = (vendor || '').toLowerCase();
+    const issues = findBillingIssues(invoices).filter(i =>
+      (!vendorLower || (i.vendor_name || '').toLowerCase().includes(vendorLower)) &&
+      (!serial || normalizeSerial(i.serial_number) === serial) &&
+      (!type || i.type === type)
+    );
+
+    return {
+      issues,
+      summary: {
+        overlap: issues.filter(i => i.type === 'overlap').length,
+        gap: issues.filter(i => i.type === 'gap').length,
+        billed_after_off_rent: issues.filter(i => i.type === 'billed_after_off_rent').length
+      }
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = { findBillingIssues, refreshBillingIssues, getBillingIssues };
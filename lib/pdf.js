@@ -0,0 +1,67 @@
+const zlib = require('zlib');
+const { fromBuffer } = require('pdf2pic');
+
+// Render settings tuned for invoice text: 150dpi keeps small print legible
+// without blowing past the vision model's image size limits
+const RENDER_OPTIONS = {
+  density: 150,
+  format: 'png',
+  width: 1700,
+  preserveAspectRatio: true
+};
+
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES) || 20;
+
+function isPdf(buffer, mimeType) {
+  if (mimeType === 'application/pdf') return true;
+  return !!buffer && buffer.length >= 4 && buffer.subarray(0, 4).toString('latin1') === '%PDF';
+}
+
+const PAGE_OBJECT = /\/Type\s*\/Page(?![A-Za-z])/g;
+const OBJECT_STREAM = /\/Type\s*\/ObjStm[\s\S]*?stream\r?\n([\s\S]*?)endstream/g;
+
+// Count the page objects in the file so nothing has to be rendered to find out
+// how long it is. Pages packed into compressed object streams are inflated and
+// counted too. Returns null when no page objects can be found.
+function countPdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  let count = (text.match(PAGE_OBJECT) || []).length;
+
+  for (const [, data] of text.matchAll(OBJECT_STREAM)) {
+    try {
+      const inflated = zlib.inflateSync(Buffer.from(data, 'latin1'), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      count += (inflated.toString('latin1').match(PAGE_OBJECT) || []).length;
+    } catch (e) {
+      // Not Flate-encoded; any pages inside go uncounted
+    }
+  }
+
+  return count || null;
+}
+
+// Rasterize the first MAX_PDF_PAGES pages of a PDF into base64 PNGs, in page
+// order. Resolves to { pages, pageCount }, where pageCount is the length of the
+// whole document so callers can report pages that were left unread.
+async function rasterizePdf(buffer) {
+  const convert = fromBuffer(buffer, RENDER_OPTIONS);
+  const counted = countPdfPages(buffer);
+  // Without a count every page is rendered and the extras dropped below
+  const pageNumbers = counted
+    ? Array.from({ length: Math.min(counted, MAX_PDF_PAGES) }, (_, i) => i + 1)
+    : -1;
+  const rendered = await convert.bulk(pageNumbers, { responseType: 'base64' });
+
+  const pages = (rendered || [])
+    .filter(p => p.base64)
+    .sort((a, b) => a.page - b.page)
+    .map(p => ({ base64: p.base64, mimeType: 'image/png', page: p.page }));
+  const pageCount = Math.max(counted || 0, pages.length);
+
+  if (pageCount > MAX_PDF_PAGES) {
+    console.log(`[pdf] ${pageCount} pages, only the first ${MAX_PDF_PAGES} will be parsed`);
+  }
+
+  return { pages: pages.slice(0, MAX_PDF_PAGES), pageCount };
+}
+
+module.exports = { isPdf, rasterizePdf };
@@ -0,0 +1,477 @@
+const supabase = require('./supabase');
+const { parseAmount } = require('./amounts');
+const { isPdf, rasterizePdf } = require('./pdf');
+const { extractInvoice } = require('./extraction');
+const { reconcileInvoice, reconcileStatement, adjustConfidence, lowConfidenceFields, notePageLimit } = require('./validation');
+const { findDuplicateInvoice } = require('./duplicates');
+const { resolveRegion } = require('./regions');
+const { resolveVendor, vendorFields, queueVendorForReview } = require('./vendors');
+const { getBillingRule, expectedAmount, inferRentalDays } = require('./rates');
+const { analyzeMeterUsage, summarizeMeterUsage } = require('./meters');
+const { refreshBillingIssues } = require('./overlaps');
+const { RENTAL_LAYOUT_TYPES, invoiceTypeFor, isRentalInvoice } = require('./documents');
+const { signCreditMemo, linkCreditMemo, linkEarlierCreditMemos } = require('./credits');
+const { storeSourceDocument } = require('./storage');
+
+const FREIGHT_KEYWORDS = ['delivery', 'pickup', 'pick up', 'pick-up', 'freight', 'hauling', 'mobilization', 'demobilization', 'cartage', 'transport', 'trucking', 'inbound', 'outbound', 'drayage'];
+
+// Turn an uploaded file into the page images sent to the model. Resolves to
+// { pages, pageCount }; a PDF longer than MAX_PDF_PAGES has fewer pages than pageCount.
+async function pagesFromUpload(buffer, mimeType) {
+  if (isPdf(buffer, mimeType)) {
+    const { pages, pageCount } = await rasterizePdf(buffer);
+    console.log(`[pipeline] Rasterized PDF into ${pages.length} of ${pageCount} page(s)`);
+    return { pages, pageCount };
+  }
+  return { pages: [{ base64: buffer.toString('base64'), mimeType: mimeType || 'image/png', page: 1 }], pageCount: 1 };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Move delivery/pickup lines the model filed under fees into freight and total up the rest.
+// Credits stay negative, so a reversed fee or freight credit nets against the charges.
+// Sums are rounded to cents, so parsed and corrected invoices store the same figures.
+function normalizeCharges(parsed) {
+  const rentalSubtotal = parseAmount(parsed.rental_subtotal);
+  let freight = parseAmount(parsed.freight);
+  const fees = {};
+
+  if (parsed.fees && typeof parsed.fees === 'object') {
+    for (const [feeName, feeAmount] of Object.entries(parsed.fees)) {
+      const lowerName = feeName.toLowerCase();
+      const amount = parseAmount(feeAmount);
+      const isFreight = FREIGHT_KEYWORDS.some(kw => lowerName.includes(kw)) && !lowerName.includes('surcharge');
+      if (isFreight && amount !== 0) {
+        freight += amount;
+      } else {
+        fees[feeName] = amount;
+      }
+    }
+  }
+
+  const meterCharges = parseAmount(parsed.meter_charges);
+  const feesTotal = round2(Object.values(fees).reduce((sum, f) => sum + f, 0) + meterCharges);
+  const feePercentage = rentalSubtotal > 0 ? (feesTotal / rentalSubtotal) * 100 : 0;
+
+  return { rentalSubtotal, freight: round2(freight), fees, meterCharges, feesTotal, feePercentage };
+}
+
+// Totals and reconciliation for an extracted or corrected document. Rentals and
+// credit memos are checked against rental_subtotal and their equipment lines;
+// sale, service and fuel invoices against subtotal and line_items. Statements
+// only list other invoices, so their entries are checked against the balance due.
+function checkCharges(doc, documentType) {
+  if (documentType === 'statement') {
+    return {
+      charges: { rentalSubtotal: 0, freight: 0, fees: {}, meterCharges: 0, feesTotal: 0, feePercentage: 0 },
+      validationReport: reconcileStatement({ entries: doc.entries, balanceDue: parseAmount(doc.balance_due) })
+    };
+  }
+
+  const rentalLayout = RENTAL_LAYOUT_TYPES.includes(documentType);
+  const charges = normalizeCharges(rentalLayout ? doc : { ...doc, rental_subtotal: doc.subtotal, meter_charges: 0 });
+  const validationReport = reconcileInvoice({
+    rentalSubtotal: charges.rentalSubtotal,
+    freight: charges.freight,
+    otherFees: charges.feesTotal - charges.meterCharges,
+    meterCharges: charges.meterCharges,
+    tax: parseAmount(doc.tax),
+    total: parseAmount(doc.total),
+    equipment: rentalLayout ? doc.equipment : doc.line_items,
+    subtotalField: rentalLayout ? 'rental_subtotal' : 'subtotal'
+  });
+  return { charges, validationReport };
+}
+
+// parsed_invoices columns for the figures from checkCharges. Fee percentage is
+// measured against rental spend, so other documents leave it empty.
+function chargeColumns(documentType, { rentalSubtotal, freight, fees, meterCharges, feesTotal, feePercentage }) {
+  const rentalLayout = RENTAL_LAYOUT_TYPES.includes(documentType);
+  return {
+    rental_subtotal: rentalLayout ? rentalSubtotal || null : null,
+    subtotal: rentalLayout ? null : rentalSubtotal || null,
+    freight: freight || null,
+    freight_total: freight || null,
+    meter_charges: meterCharges > 0 ? meterCharges : null,
+    fees_total: feesTotal || null,
+    fees: fees || {},
+    fee_percentage: rentalLayout ? feePercentage || null : null
+  };
+}
+
+function rentalDaysFromBilledDates(billedFrom, billedThrough) {
+  if (!billedFrom || !billedThrough) return null;
+  const diffTime = Math.abs(new Date(billedThrough) - new Date(billedFrom));
+  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  return diffDays > 0 ? diffDays : null;
+}
+
+// Classify each equipment line, price it against the regional market rate and
+// record the rate. Also checks each line's meter hours against its allowance.
+// Returns the invoice's total savings, the enriched lines and the meter analysis.
+// `dryRun` prices the lines without writing equipment_rates rows.
+async function calculateEquipmentSavings({ invoiceId, userId, equipment, billedFrom, billedThrough, vendorName, invoiceDate, region, onItem, dryRun }) {
+  let totalMarketSavings = 0;
+  const equipmentWithRates = [];
+  const meterLines = [];
+
+  // Default to monthly when the invoice has no billing dates
+  const invoiceRentalDays = rentalDaysFromBilledDates(billedFrom, billedThrough) || 28;
+  const rule = getBillingRule(vendorName);
+
+  const items = equipment || [];
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    if (onItem) await onItem(index, items.length);
+    const billedAmount = parseAmount(item.amount, null);
+    let actualAmount = billedAmount === null ? 0 : billedAmount;
+    const rates = { dayRate: item.day_rate, weekRate: item.week_rate, fourWeekRate: item.four_week_rate, billedFrom, billedThrough };
+
+    // PRIORITY 1: Infer rental days from the charged amount under the vendor's billing rule
+    // This is the most accurate method when day/week/month rates are provided
+    const inferred = inferRentalDays({ amount: actualAmount, ...rates }, rule);
+
+    // PRIORITY 2: Use item rental_days if provided and > 1
+    const itemDays = parseInt(item.rental_days);
+
+    // PRIORITY 3: Fall back to invoice-level rental days (from billed dates)
+    let rentalDays, rentalDaysSource;
+    if (inferred) {
+      rentalDays = inferred.days;
+      rentalDaysSource = 'amount';
+      console.log(`Inferred ${rentalDays} days for ${item.description}: ${inferred.explanation}`);
+    } else if (itemDays && itemDays > 1) {
+      rentalDays = itemDays;
+      rentalDaysSource = 'line';
+    } else {
+      rentalDays = invoiceRentalDays;
+      rentalDaysSource = 'billing_period';
+    }
+
+    // Only a missing amount is filled in from the rates; a zero or credit line is kept as billed
+    const expected = expectedAmount({ ...rates, rentalDays }, rule);
+    if (billedAmount === null) actualAmount = expected.amount;
+
+    const meter = analyzeMeterUsage(item, expected, rule);
+    if (meter) meterLines.push({ index, description: item.description, serial_number: item.serial_number || null, meter });
+
+    // Credits and no-charge lines stay on the invoice but aren't priced against the market
+    if (!item.description || actualAmount <= 0) continue;
+
+    try {
+      const { data: classifyData } = await supabase.rpc('classify_equipment', { p_description: item.description });
+
+      if (classifyData && classifyData.length > 0) {
+        const classified = classifyData[0];
+        const { data: savingsData } = await supabase.rpc('calculate_savings', {
+          p_equipment_class: classified.equipment_class,
+          p_equipment_size: classified.equipment_size,
+          p_actual_amount: actualAmount,
+          p_rental_days: rentalDays,
+          p_region: region
+        });
+
+        if (savingsData && savingsData.length > 0) {
+          const savings = savingsData[0];
+          totalMarketSavings += parseFloat(savings.total_overpaid) || 0;
+
+          const marketAvg = parseFloat(savings.market_rate_avg) || 0;
+          const overpaidPct = (marketAvg > 0 && actualAmount > marketAvg)
+            ? ((actualAmount - marketAvg) / marketAvg) * 100
+            : 0;
+
+          equipmentWithRates.push({
+            ...item,
+            calculated_amount: actualAmount,
+            rental_days_used: rentalDays,
+            rental_days_source: rentalDaysSource,
+            expected_amount: expected.amount,
+            billing_rule: rule.name,
+            billing_explanation: expected.explanation,
+            meter,
+            equipment_class: classified.equipment_class,
+            equipment_size: classified.equipment_size,
+            classification_confidence: classified.confidence,
+            market_rate_low: savings.market_rate_low,
+            market_rate_high: savings.market_rate_high,
+            market_rate_avg: savings.market_rate_avg,
+            overpaid_per_day: savings.overpaid_per_day,
+            total_overpaid: savings.total_overpaid,
+            overpaid_percentage: savings.overpaid_percentage || overpaidPct,
+            data_source: savings.data_source
+          });
+
+          if (dryRun) continue;
+          await supabase.from('equipment_rates').insert({
+            invoice_id: invoiceId,
+            user_id: userId || null,
+            equipment_description: item.description,
+            equipment_class: classified.equipment_class,
+            equipment_size: classified.equipment_size,
+            day_rate: item.day_rate || null,
+            week_rate: item.week_rate || null,
+            four_week_rate: item.four_week_rate || null,
+            rental_days: rentalDays,
+            vendor_name: vendorName,
+            region: region,
+            invoice_date: invoiceDate
+          });
+        }
+      }
+    } catch (err) {
+      console.log('Error processing equipment item:', err.message);
+    }
+  }
+
+  return {
+    totalMarketSavings,
+    equipmentWithRates,
+    meterAnalysis: meterLines.length > 0 ? summarizeMeterUsage(meterLines) : null
+  };
+}
+
+// Rebuild the rate rows and savings for an invoice already in parsed_invoices.
+// With `dryRun` nothing is written; the recalculated figures are only returned.
+// Pass `checkBillingPeriods: false` when the caller rechecks billing periods itself.
+// Documents other than rentals are left alone and come back with `skipped`.
+async function recalculateSavings(invoice, { region, dryRun, checkBillingPeriods = true }) {
+  if (!isRentalInvoice(invoice)) {
+    return { skipped: true, totalMarketSavings: null, equipmentWithRates: [], meterAnalysis: null, billingIssues: [] };
+  }
+
+  if (!dryRun) await supabase.from('equipment_rates').delete().eq('invoice_id', invoice.id);
+
+  const { totalMarketSavings, equipmentWithRates, meterAnalysis } = await calculateEquipmentSavings({
+    invoiceId: invoice.id,
+    userId: invoice.user_id,
+    equipment: invoice.equipment,
+    billedFrom: invoice.billed_from,
+    billedThrough: invoice.billed_through,
+    vendorName: invoice.vendor_canonical || invoice.vendor_name,
+    invoiceDate: invoice.invoice_date,
+    region,
+    dryRun
+  });
+  if (dryRun) return { totalMarketSavings, equipmentWithRates, meterAnalysis };
+
+  const { error } = await supabase
+    .from('parsed_invoices')
+    .update({ market_savings: totalMarketSavings, equipment_with_rates: equipmentWithRates, meter_analysis: meterAnalysis, region })
+    .eq('id', invoice.id);
+  if (error) return { error: error.message };
+
+  if (!checkBillingPeriods) return { totalMarketSavings, equipmentWithRates, meterAnalysis };
+
+  const { issues = [] } = await refreshBillingIssues(invoice.user_id, invoice.vendor_normalized);
+  const billingIssues = issues.filter(i => i.invoice_ids.includes(invoice.id));
+
+  return { totalMarketSavings, equipmentWithRates, meterAnalysis, billingIssues };
+}
+
+// Full parse of one uploaded invoice: classify and extract, normalize, check for
+// duplicates, persist and, for rentals, calculate savings. Resolves to { data, raw_response } on success,
+// { duplicate: true, ... } when the invoice already exists, or { error, status }.
+// `onProgress(stage, percent, extra)` is awaited at each stage when given.
+async function processInvoice({ buffer, mimeType, userId, replaceExisting, onProgress }) {
+  const report = onProgress || (async () => {});
+
+  await report('reading_document', 5);
+  const { pages, pageCount } = await pagesFromUpload(buffer, mimeType);
+  if (pages.length === 0) return { status: 400, error: 'Could not read any pages from PDF' };
+
+  await report('extracting', 15);
+  const extraction = await extractInvoice(pages);
+  if (extraction.error) {
+    return {
+      status: 500,
+      error: extraction.error,
+      details: { validation_errors: extraction.validation_errors, raw: extraction.content }
+    };
+  }
+  const { content, documentType, classification } = extraction;
+  const invoiceType = invoiceTypeFor(documentType);
+  const parsed = documentType === 'credit_memo' ? signCreditMemo(extraction.parsed) : extraction.parsed;
+
+  await report('validating', 60);
+  const checked = checkCharges(parsed, documentType);
+  const { charges } = checked;
+  const validationReport = notePageLimit(checked.validationReport, pages.length, pageCount);
+  const { freight, fees: remainingFees, meterCharges, feesTotal } = charges;
+  const flaggedCharges = parsed.flagged_charges || {};
+  const confidence = adjustConfidence(parsed.confidence, validationReport);
+  const reviewFields = lowConfidenceFields(parsed);
+  if (!validationReport.passed) {
+    console.log(`[pipeline] ${validationReport.discrepancies.length} reconciliation discrepancies, confidence ${parsed.confidence} -> ${confidence}`);
+  }
+
+  const vendor = await resolveVendor(parsed.vendor);
+  const vendorNormalized = vendor.vendorNormalized;
+  console.log(`[pipeline] Vendor: ${parsed.vendor} -> ${vendor.matched ? vendor.canonicalName : 'unregistered'} (score ${vendor.score})`);
+
+  const duplicate = await findDuplicateInvoice({
+    userId: userId || null,
+    vendorNormalized,
+    invoiceNumber: parsed.invoice_number,
+    invoiceDate: parsed.invoice_date,
+    total: parsed.total
+  });
+
+  if (duplicate && !replaceExisting) {
+    console.log(`[pipeline] Duplicate of invoice ${duplicate.id} (${duplicate.match_type})`);
+    return {
+      duplicate: true,
+      existing_id: duplicate.id,
+      match_type: duplicate.match_type,
+      message: 'This invoice has already been uploaded. Send replaceExisting: true to replace it.'
+    };
+  }
+
+  const { region, source: regionSource } = await resolveRegion({
+    jobSite: parsed.job_site,
+    customerAddress: parsed.customer_address,
+    userId
+  });
+  console.log(`[pipeline] Region: ${region} (from ${regionSource})`);
+
+  const invoiceRecord = {
+    source: 'parseapi',
+    app_source: 'rate_daddy',
+    user_id: userId || null,
+    ...vendorFields(vendor),
+    invoice_type: invoiceType,
+    document_classification: classification,
+    vendor_name: parsed.vendor || null,
+    invoice_number: parsed.invoice_number || null,
+    invoice_date: parsed.invoice_date || parsed.statement_date || null,
+    billed_from: parsed.billed_from || null,
+    billed_through: parsed.billed_through || null,
+    po_number: parsed.po_number || null,
+    customer_name: parsed.customer_name || null,
+    job_site: parsed.job_site || null,
+    region: region,
+    ...chargeColumns(documentType, charges),
+    flagged_charges: Object.keys(flaggedCharges).length > 0 ? flaggedCharges : null,
+    tax: parseAmount(parsed.tax) || null,
+    // Statements have balance_due instead: it repeats invoices stored on their own,
+    // so it isn't counted as spend
+    total: parseAmount(parsed.total) || null,
+    // raw_index ties each line to raw_response.equipment through later corrections
+    equipment: (parsed.equipment || []).map((item, index) => ({ ...item, raw_index: index })),
+    line_items: parsed.line_items || parsed.entries || null,
+    original_invoice_number: parsed.original_invoice_number || null,
+    confidence: confidence,
+    review_fields: reviewFields.length > 0 ? reviewFields : null,
+    validation_report: validationReport,
+    raw_response: extraction.parsed || {}
+  };
+
+  await report('saving', 70);
+  // Keep the upload itself so the figures can be checked against it later.
+  // A storage outage shouldn't lose the parse, so the invoice is saved without it.
+  const sourceDocument = await storeSourceDocument({ userId, buffer });
+  if (sourceDocument.error) {
+    console.log('[pipeline] Could not store source document:', sourceDocument.error);
+  } else {
+    Object.assign(invoiceRecord, sourceDocument);
+  }
+
+  let saved;
+  if (duplicate) {
+    // Replace in place so the invoice keeps its id; its rate rows are rebuilt below
+    await supabase.from('equipment_rates').delete().eq('invoice_id', duplicate.id);
+    saved = await supabase.from('parsed_invoices').update(invoiceRecord).eq('id', duplicate.id).select().single();
+  } else {
+    saved = await supabase.from('parsed_invoices').insert(invoiceRecord).select().single();
+  }
+  const { data: insertData, error: insertError } = saved;
+
+  if (insertError || !insertData || !insertData.id) {
+    return { status: 500, error: 'Failed to insert invoice', details: insertError };
+  }
+
+  const invoiceId = insertData.id;
+  if (!vendor.matched && parsed.vendor) {
+    await queueVendorForReview({ vendorName: parsed.vendor, userId, invoiceId, suggestion: vendor.suggestion });
+  }
+
+  // Tie credit memos to the invoice they credit, whichever was uploaded first
+  let creditedInvoiceId = null;
+  let creditMemoIds = [];
+  if (documentType === 'credit_memo') {
+    creditedInvoiceId = await linkCreditMemo({ id: invoiceId, userId, vendorNormalized, originalInvoiceNumber: parsed.original_invoice_number });
+  } else {
+    creditMemoIds = await linkEarlierCreditMemos({ id: invoiceId, userId, vendorNormalized, invoiceNumber: parsed.invoice_number });
+  }
+
+  // Only rentals are priced against market rates and checked for meter hours
+  // and billing-period overlaps
+  let savings = { totalMarketSavings: null, equipmentWithRates: [], meterAnalysis: null };
+  let billingIssues = [];
+  if (isRentalInvoice(invoiceRecord)) {
+    await report('calculating_savings', 75, { invoice_id: invoiceId });
+    savings = await calculateEquipmentSavings({
+      invoiceId,
+      userId,
+      equipment: parsed.equipment,
+      billedFrom: parsed.billed_from,
+      billedThrough: parsed.billed_through,
+      vendorName: vendor.canonicalName || parsed.vendor,
+      invoiceDate: parsed.invoice_date,
+      region,
+      onItem: (index, count) => report('calculating_savings', 75 + Math.round((20 * index) / count))
+    });
+
+    await supabase
+      .from('parsed_invoices')
+      .update({ market_savings: savings.totalMarketSavings, equipment_with_rates: savings.equipmentWithRates, meter_analysis: savings.meterAnalysis })
+      .eq('id', invoiceId);
+
+    // Compare this invoice's billing periods with the user's other invoices from the vendor
+    const { issues = [] } = await refreshBillingIssues(userId, vendorNormalized);
+    billingIssues = issues.filter(i => i.invoice_ids.includes(invoiceId));
+    if (billingIssues.length > 0) console.log(`[pipeline] ${billingIssues.length} billing period issue(s)`);
+  }
+
+  return {
+    data: {
+      ...parsed,
+      id: invoiceId,
+      replaced_existing: !!duplicate,
+      ...vendorFields(vendor),
+      invoice_type: invoiceType,
+      document_classification: classification,
+      credited_invoice_id: creditedInvoiceId,
+      credit_memo_ids: creditMemoIds,
+      source_document_hash: invoiceRecord.source_document_hash || null,
+      region: region,
+      page_count: pages.length,
+      freight: freight,
+      freight_total: freight,
+      meter_charges: meterCharges,
+      flagged_charges: flaggedCharges,
+      fees: remainingFees,
+      fees_total: feesTotal,
+      fee_percentage: invoiceRecord.fee_percentage,
+      confidence: confidence,
+      review_fields: reviewFields,
+      validation_report: validationReport,
+      market_savings: savings.totalMarketSavings,
+      equipment_with_rates: savings.equipmentWithRates,
+      meter_analysis: savings.meterAnalysis,
+      billing_issues: billingIssues
+    },
+    raw_response: content
+  };
+}
+
+module.exports = {
+  processInvoice,
+  normalizeCharges,
+  checkCharges,
+  chargeColumns,
+  recalculateSavings,
+  calculateEquipmentSavings,
+  rentalDaysFromBilledDates
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'extraction');
+
+// Deterministic offline provider for tests and local development. Looks up
+// <sha256 of the page images>.json in the fixtures directory and falls back to
+// default.json, so the same upload always produces the same extraction.
+// Requests for other schemas (classification, sale invoices, ...) read
+// <sha256>.<schemaName>.json and default.<schemaName>.json instead.
+function createFixtureProvider({ dir = process.env.EXTRACTION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR } = {}) {
+  return {
+    name: 'fixture',
+    model: 'fixture',
+
+    async extract({ images, schemaName }) {
+      const hash = crypto.createHash('sha256');
+      for (const image of images) hash.update(image.base64);
+      const digest = hash.digest('hex');
+
+      const suffix = !schemaName || schemaName === 'invoice' ? '' : `.${schemaName}`;
+      const candidates = [path.join(dir, `${digest}${suffix}.json`), path.join(dir, `default${suffix}.json`)];
+      const file = candidates.find(f => fs.existsSync(f));
+      if (!file) {
+        throw new Error(`No extraction fixture for ${digest}${suffix} and no default${suffix}.json in ${dir}`);
+      }
+
+      console.log(`[fixture] Using ${path.basename(file)} for pages ${images.map(p => p.page).join(',')}`);
+      return { content: fs.readFileSync(file, 'utf-8'), refusal: null };
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
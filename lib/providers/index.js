@@ -0,0 +1,38 @@
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+
+// An extraction provider turns a prompt and page images into a JSON string:
+//
+//   provider.extract({ prompt, images, schema, schemaName, repairs })
+//     -> { content, refusal }
+//
+// `repairs` lists earlier failed attempts as { content, errors } so the
+// provider can ask the model to correct itself.
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider
+};
+
+let provider = null;
+
+// Selected with EXTRACTION_PROVIDER, defaulting to openai
+function getExtractionProvider() {
+  if (provider) return provider;
+
+  const name = process.env.EXTRACTION_PROVIDER || 'openai';
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown EXTRACTION_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  provider = factory();
+  console.log(`[providers] Using ${provider.name} extraction provider`);
+  return provider;
+}
+
+// Swap the provider at runtime, e.g. a fixture provider pointed at a test directory
+function setExtractionProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+module.exports = { getExtractionProvider, setExtractionProvider, createOpenAIProvider, createFixtureProvider };
@@ -0,0 +1,44 @@
+const MODEL = process.env.OPENAI_EXTRACTION_MODEL || 'gpt-4o';
+
+// gpt-4o vision extraction with structured outputs
+function createOpenAIProvider() {
+  const openai = require('../openai');
+
+  return {
+    name: 'openai',
+    model: MODEL,
+
+    async extract({ prompt, images, schema, schemaName, repairs = [] }) {
+      const messages = [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(p => ({ type: 'image_url', image_url: { url: `data:${p.mimeType};base64,${p.base64}` } }))
+        ]
+      }];
+
+      for (const repair of repairs) {
+        messages.push({ role: 'assistant', content: repair.content || '' });
+        messages.push({
+          role: 'user',
+          content: `Your JSON failed validation:\n- ${repair.errors.join('\n- ')}\nReturn the corrected JSON for the same invoice pages.`
+        });
+      }
+
+      const response = await openai.chat.completions.create({
+        model: MODEL,
+        messages,
+        max_tokens: 4000,
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: schemaName, strict: true, schema }
+        }
+      });
+
+      const message = response.choices[0].message;
+      return { content: message.content, refusal: message.refusal || null };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,208 @@
+const fs = require('fs');
+
+// How a vendor turns day/week/4-week rates into a charge. Every field can be
+// overridden per vendor in the JSON file named by BILLING_RULES_FILE:
+//
+//   { "default": { ... }, "sunbelt": { "month": "calendar" }, "herc": { "partial_week": "prorated" } }
+//
+// Keys other than "default" are matched against the lowercased vendor name.
+const DEFAULT_RULE = {
+  name: 'default',
+  // Monthly period: 'four_week' (28 days) or 'calendar' (the length of the month
+  // the rental starts in, 30 days when the start date is unknown)
+  month: 'four_week',
+  // Day-rate days worth a week / a month, used when one of the rates is missing
+  days_per_week: 5,
+  days_per_month: 20,
+  // Days left over after the last full week:
+  //   daily     day rate per day, capped at the week rate
+  //   prorated  week rate / 7 per day
+  //   none      a started week is billed in full
+  partial_week: 'daily',
+  // A Friday/Saturday-to-Monday rental billed as this many days; null bills each day
+  weekend_days_billed: null,
+  // Machine hours covered by one day, week and billing month before overtime
+  hours_per_day: 8,
+  hours_per_week: 40,
+  hours_per_month: 160,
+  // Overtime hour price as a multiple of the pro rata hourly rate (rate / hours)
+  overtime_rate_factor: 1,
+  // Relative difference allowed when matching a charged amount to a billing pattern
+  tolerance: 0.05
+};
+
+const MONTH_MODES = ['four_week', 'calendar'];
+const PARTIAL_WEEK_MODES = ['daily', 'prorated', 'none'];
+
+// Longest rental inferRentalDays will consider, in billing months
+const MAX_INFERRED_MONTHS = 12;
+
+let vendorRules = null;
+
+function loadVendorRules() {
+  if (vendorRules) return vendorRules;
+  vendorRules = {};
+  const file = process.env.BILLING_RULES_FILE;
+  if (!file) return vendorRules;
+
+  try {
+    vendorRules = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    console.log(`Ignoring BILLING_RULES_FILE: ${err.message}`);
+  }
+  return vendorRules;
+}
+
+function checkRule(rule) {
+  if (!MONTH_MODES.includes(rule.month)) {
+    console.log(`Billing rule ${rule.name}: unknown month "${rule.month}", using four_week`);
+    rule.month = 'four_week';
+  }
+  if (!PARTIAL_WEEK_MODES.includes(rule.partial_week)) {
+    console.log(`Billing rule ${rule.name}: unknown partial_week "${rule.partial_week}", using daily`);
+    rule.partial_week = 'daily';
+  }
+  return rule;
+}
+
+// The rule for a vendor: the built-in default, then the file's "default", then
+// the first vendor entry whose key appears in the vendor name
+function getBillingRule(vendorName) {
+  const vendor = (vendorName || '').toLowerCase();
+  const rules = loadVendorRules();
+  const key = Object.keys(rules).find(k => k !== 'default' && vendor.includes(k.toLowerCase()));
+
+  return checkRule({
+    ...DEFAULT_RULE,
+    ...(rules.default || {}),
+    ...(key ? { name: key, ...rules[key] } : {})
+  });
+}
+
+function num(value) {
+  return parseFloat(value) || 0;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Stand in for missing rates from the ones the invoice does show
+function effectiveRates({ dayRate, weekRate, fourWeekRate }, rule) {
+  const day = num(dayRate);
+  const week = num(weekRate);
+  const month = num(fourWeekRate);
+  return {
+    day: day || (week / rule.days_per_week) || (month / rule.days_per_month),
+    week: week || (day * rule.days_per_week) || (month / 4),
+    month: month || (week * 4) || (day * rule.days_per_month)
+  };
+}
+
+function monthLength(rule, billedFrom) {
+  if (rule.month === 'four_week') return 28;
+  const start = billedFrom ? new Date(billedFrom) : null;
+  if (!start || isNaN(start)) return 30;
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+// Out Friday or Saturday, back by Monday
+function isWeekendRental(billedFrom, billedThrough) {
+  if (!billedFrom || !billedThrough) return false;
+  const from = new Date(billedFrom);
+  const through = new Date(billedThrough);
+  if (isNaN(from) || isNaN(through)) return false;
+  const days = Math.round((through - from) / (1000 * 60 * 60 * 24));
+  return [5, 6].includes(from.getUTCDay()) && days >= 1 && days <= 3 && through.getUTCDay() <= 1;
+}
+
+function part(unit, count, rate) {
+  return { unit, count, rate: round2(rate), amount: round2(count * rate) };
+}
+
+function sum(parts) {
+  return parts.reduce((total, p) => total + p.amount, 0);
+}
+
+// Cheapest charge for a stretch shorter than a billing month
+function priceWithinMonth(days, rates, rule) {
+  const weeks = Math.floor(days / 7);
+  const rest = days % 7;
+  const parts = weeks > 0 ? [part('week', weeks, rates.week)] : [];
+  if (rest === 0) return parts;
+
+  if (weeks > 0 && rule.partial_week === 'none') return [part('week', weeks + 1, rates.week)];
+  if (weeks > 0 && rule.partial_week === 'prorated') return [...parts, part('prorated day', rest, rates.week / 7)];
+
+  const daily = part('day', rest, rates.day);
+  return daily.amount <= rates.week
+    ? [...parts, daily]
+    : weeks > 0 ? [part('week', weeks + 1, rates.week)] : [part('week', 1, rates.week)];
+}
+
+function explain(rule, parts, total) {
+  const period = rule.month === 'calendar' ? 'calendar month' : '4-week month';
+  const lines = parts.map(p => `${p.count} × ${p.unit} @ $${p.rate.toFixed(2)}`).join(' + ');
+  return `${rule.name} rule (${period}, ${rule.partial_week} partial weeks): ${lines || 'no charge'} = $${total.toFixed(2)}`;
+}
+
+// Expected charge for renting `rentalDays` at the given rates under `rule`.
+// Returns { amount, parts, explanation }; amount is 0 when there are no rates.
+function expectedAmount({ dayRate, weekRate, fourWeekRate, rentalDays, billedFrom, billedThrough }, rule = DEFAULT_RULE) {
+  const rates = effectiveRates({ dayRate, weekRate, fourWeekRate }, rule);
+  const days = parseInt(rentalDays) || 1;
+  if (rates.day === 0 && rates.week === 0 && rates.month === 0) {
+    return { amount: 0, parts: [], explanation: 'No rates on the line' };
+  }
+
+  if (rule.weekend_days_billed && isWeekendRental(billedFrom, billedThrough)) {
+    const parts = [part('weekend day', rule.weekend_days_billed, rates.day)];
+    return { amount: round2(sum(parts)), parts, explanation: explain(rule, parts, sum(parts)) };
+  }
+
+  const length = monthLength(rule, billedFrom);
+  const months = Math.floor(days / length);
+  let rest = priceWithinMonth(days % length, rates, rule);
+  if (sum(rest) > rates.month) rest = [part('month', 1, rates.month)];
+
+  const parts = months > 0 ? [part('month', months, rates.month), ...rest] : rest;
+  const merged = parts.reduce((list, p) => {
+    const same = list.find(q => q.unit === p.unit && q.rate === p.rate);
+    if (same) {
+      same.count += p.count;
+      same.amount = round2(same.amount + p.amount);
+    } else {
+      list.push({ ...p });
+    }
+    return list;
+  }, []);
+
+  const amount = round2(sum(merged));
+  return { amount, parts: merged, explanation: explain(rule, merged, amount) };
+}
+
+// Work out how many days a charged amount covers by pricing every rental
+// length under the rule and keeping the closest match within the rule's
+// tolerance. When several lengths cost the same (a week rate covers 5 to 7
+// days), the longest is used. Returns { days, explanation } or null.
+function inferRentalDays({ amount, dayRate, weekRate, fourWeekRate, billedFrom }, rule = DEFAULT_RULE) {
+  const amt = num(amount);
+  if (amt <= 0) return null;
+
+  const maxDays = monthLength(rule, billedFrom) * MAX_INFERRED_MONTHS;
+  let best = null;
+  for (let days = 1; days <= maxDays; days++) {
+    const expected = expectedAmount({ dayRate, weekRate, fourWeekRate, rentalDays: days, billedFrom }, rule);
+    if (expected.amount === 0) return null;
+
+    const error = Math.abs(expected.amount - amt) / amt;
+    if (!best || error < best.error - 1e-9 || Math.abs(error - best.error) <= 1e-9) {
+      best = { days, error, expected };
+    }
+  }
+
+  if (!best || best.error > rule.tolerance) return null;
+  return { days: best.days, explanation: `$${amt.toFixed(2)} matches ${best.days} days: ${best.expected.explanation}` };
+}
+
+module.exports = { DEFAULT_RULE, getBillingRule, expectedAmount, inferRentalDays };
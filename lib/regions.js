@@ -0,0 +1,82 @@
+const supabase = require('./supabase');
+
+const FALLBACK_REGION = process.env.DEFAULT_REGION || 'Cleveland';
+
+// Market regions we have rate data for. Zip prefixes are checked before city
+// names because they are unambiguous.
+const REGIONS = [
+  {
+    name: 'Cleveland',
+    zipPrefixes: ['440', '441', '442', '443', '446', '447'],
+    cities: ['cleveland', 'akron', 'parma', 'lorain', 'elyria', 'mentor', 'strongsville', 'canton', 'solon', 'euclid', 'lakewood', 'medina', 'brunswick', 'twinsburg', 'westlake', 'north olmsted']
+  },
+  {
+    name: 'Columbus',
+    zipPrefixes: ['430', '431', '432'],
+    cities: ['columbus', 'dublin', 'westerville', 'hilliard', 'grove city', 'gahanna', 'reynoldsburg', 'marysville', 'worthington', 'grandview heights', 'pickerington', 'new albany']
+  },
+  {
+    name: 'Pittsburgh',
+    zipPrefixes: ['150', '151', '152', '153', '154', '156', '160'],
+    cities: ['pittsburgh', 'cranberry', 'monroeville', 'bethel park', 'mckeesport', 'greensburg', 'canonsburg', 'coraopolis', 'sewickley', 'wexford', 'robinson township']
+  },
+  {
+    name: 'Texas',
+    zipPrefixes: ['75', '76', '77', '78', '79', '885'],
+    states: ['tx', 'texas'],
+    cities: ['houston', 'dallas', 'austin', 'san antonio', 'fort worth', 'el paso', 'plano', 'irving', 'corpus christi', 'lubbock', 'midland', 'odessa', 'waco', 'katy', 'frisco', 'round rock']
+  }
+];
+
+function containsWord(text, word) {
+  return new RegExp(`\\b${word.replace(/\s+/g, '\\s+')}\\b`, 'i').test(text);
+}
+
+// Work out the region from free-text address, or null if nothing matches
+function regionFromAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+
+  // The last zip in the string is the one belonging to the address
+  const zips = address.match(/\b\d{5}(?:-\d{4})?\b/g);
+  if (zips) {
+    const zip = zips[zips.length - 1];
+    const region = REGIONS.find(r => r.zipPrefixes.some(prefix => zip.startsWith(prefix)));
+    if (region) return region.name;
+  }
+
+  const byState = REGIONS.find(r => (r.states || []).some(state => containsWord(address, state)));
+  if (byState) return byState.name;
+
+  const byCity = REGIONS.find(r => r.cities.some(city => containsWord(address, city)));
+  return byCity ? byCity.name : null;
+}
+
+async function getUserDefaultRegion(userId) {
+  if (!userId) return null;
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('default_region')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    console.log('Could not load user default region:', error.message);
+    return null;
+  }
+  return data?.default_region || null;
+}
+
+// Job site wins over the customer's billing address, then the user's default
+async function resolveRegion({ jobSite, customerAddress, userId }) {
+  const fromJobSite = regionFromAddress(jobSite);
+  if (fromJobSite) return { region: fromJobSite, source: 'job_site' };
+
+  const fromCustomer = regionFromAddress(customerAddress);
+  if (fromCustomer) return { region: fromCustomer, source: 'customer_address' };
+
+  const userDefault = await getUserDefaultRegion(userId);
+  if (userDefault) return { region: userDefault, source: 'user_default' };
+
+  return { region: FALLBACK_REGION, source: 'fallback' };
+}
+
+module.exports = { REGIONS, regionFromAddress, resolveRegion };
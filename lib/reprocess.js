@@ -0,0 +1,177 @@
+const supabase = require('./supabase');
+const { applyInvoiceFilters } = require('./invoices');
+const { resolveRegion } = require('./regions');
+const { recalculateSavings } = require('./pipeline');
+const { refreshBillingIssues } = require('./overlaps');
+const { resolveVendor, vendorFields, queueVendorForReview } = require('./vendors');
+
+const PAGE_SIZE = 1000;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function num(value) {
+  return parseFloat(value) || 0;
+}
+
+// Invoices matching the reprocess filters, read in pages like fetchAllInvoices.
+// Unlike the user-facing queries, user_id is optional here.
+async function selectInvoices({ userId, vendor, dateFrom, dateTo, invoiceIds, missingOnly }) {
+  const invoices = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let dbQuery = supabase
+      .from('parsed_invoices')
+      .select('*')
+      .order('invoice_date', { ascending: false })
+      .order('id', { ascending: true });
+    if (userId) dbQuery = dbQuery.eq('user_id', userId);
+    if (invoiceIds && invoiceIds.length > 0) dbQuery = dbQuery.in('id', invoiceIds);
+    if (missingOnly) dbQuery = dbQuery.is('market_savings', null);
+    dbQuery = applyInvoiceFilters(dbQuery, null, { vendor, date_from: dateFrom, date_to: dateTo });
+
+    const { data, error } = await dbQuery.range(offset, offset + PAGE_SIZE - 1);
+    if (error) return { error: error.message };
+    invoices.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return { invoices };
+}
+
+// Match old and new priced lines by description, serial number and amount
+// so the report shows what moved for each line
+function lineDiff(invoice, equipmentWithRates) {
+  const lineKey = line => `${line.description}|${line.serial_number || ''}|${line.amount ?? ''}`;
+  const before = new Map((invoice.equipment_with_rates || []).map(line => [lineKey(line), line]));
+  const after = new Map(equipmentWithRates.map(line => [lineKey(line), line]));
+
+  return (invoice.equipment || []).map(item => {
+    const old = before.get(lineKey(item)) || {};
+    const updated = after.get(lineKey(item)) || {};
+    return {
+      description: item.description,
+      before: {
+        equipment_class: old.equipment_class ?? null,
+        calculated_amount: old.calculated_amount ?? null,
+        total_overpaid: old.total_overpaid ?? null
+      },
+      after: {
+        equipment_class: updated.equipment_class ?? null,
+        calculated_amount: updated.calculated_amount ?? null,
+        total_overpaid: updated.total_overpaid ?? null
+      }
+    };
+  }).filter(line => JSON.stringify(line.before) !== JSON.stringify(line.after));
+}
+
+// At least one filter or `all` is required so a typo can't reprocess everything.
+// Returns an error string or null.
+function checkReprocessFilters({ userId, vendor, dateFrom, dateTo, invoiceIds, missingOnly, all }) {
+  const hasFilter = userId || vendor || dateFrom || dateTo || missingOnly || (invoiceIds && invoiceIds.length > 0);
+  return hasFilter || all ? null : 'Give at least one filter, or all: true to reprocess every invoice';
+}
+
+// Recompute savings for a filtered set of stored invoices with the same vendor
+// matching, rental-day inference, classification and pricing used by live parsing.
+async function reprocessInvoices({ userId, vendor, dateFrom, dateTo, invoiceIds, missingOnly, all, dryRun, onInvoice } = {}) {
+  const filterError = checkReprocessFilters({ userId, vendor, dateFrom, dateTo, invoiceIds, missingOnly, all });
+  if (filterError) return { status: 400, error: filterError };
+
+  const { invoices, error } = await selectInvoices({ userId, vendor, dateFrom, dateTo, invoiceIds, missingOnly });
+  if (error) return { status: 500, error };
+
+  const results = [];
+  const errors = [];
+  let totalBefore = 0;
+  let totalAfter = 0;
+  const vendorPairs = new Set();
+
+  for (let index = 0; index < invoices.length; index++) {
+    const invoice = invoices[index];
+    if (onInvoice) await onInvoice(invoice, index, invoices.length);
+
+    try {
+      const region = invoice.region || (await resolveRegion({
+        jobSite: invoice.job_site,
+        customerAddress: invoice.raw_response?.customer_address,
+        userId: invoice.user_id
+      })).region;
+
+      const vendor = await resolveVendor(invoice.vendor_name);
+      const fields = vendorFields(vendor);
+      const vendorChanged = fields.vendor_normalized !== invoice.vendor_normalized || fields.vendor_id !== (invoice.vendor_id || null);
+      if (vendorChanged && !dryRun) {
+        const { error: vendorError } = await supabase.from('parsed_invoices').update(fields).eq('id', invoice.id);
+        if (vendorError) {
+          errors.push({ id: invoice.id, error: vendorError.message });
+          continue;
+        }
+        if (!vendor.matched && invoice.vendor_name) {
+          await queueVendorForReview({ vendorName: invoice.vendor_name, userId: invoice.user_id, invoiceId: invoice.id, suggestion: vendor.suggestion });
+        }
+      }
+      vendorPairs.add(JSON.stringify([invoice.user_id, invoice.vendor_normalized]));
+      vendorPairs.add(JSON.stringify([invoice.user_id, fields.vendor_normalized]));
+
+      const savings = await recalculateSavings({ ...invoice, ...fields }, { region, dryRun, checkBillingPeriods: false });
+      if (savings.error) {
+        errors.push({ id: invoice.id, error: savings.error });
+        continue;
+      }
+
+      const before = invoice.market_savings === null || invoice.market_savings === undefined ? null : round2(num(invoice.market_savings));
+      // Documents other than rentals are only re-matched to a vendor; their savings stay as they were
+      const after = savings.skipped ? before : round2(savings.totalMarketSavings);
+      totalBefore += before || 0;
+      totalAfter += after || 0;
+
+      results.push({
+        id: invoice.id,
+        user_id: invoice.user_id,
+        vendor_name: invoice.vendor_name,
+        invoice_number: invoice.invoice_number,
+        invoice_date: invoice.invoice_date,
+        before: { market_savings: before, region: invoice.region || null, vendor_normalized: invoice.vendor_normalized || null },
+        after: { market_savings: after, region: savings.skipped ? invoice.region || null : region, vendor_normalized: fields.vendor_normalized },
+        difference: round2((after || 0) - (before || 0)),
+        changed: before !== after || (!savings.skipped && invoice.region !== region) || vendorChanged,
+        skipped: !!savings.skipped,
+        lines: savings.skipped ? [] : lineDiff(invoice, savings.equipmentWithRates)
+      });
+    } catch (err) {
+      errors.push({ id: invoice.id, error: err.message });
+    }
+  }
+
+  // Billing periods are compared per user and vendor, so recheck each pair once,
+  // including the vendors invoices were moved away from
+  if (!dryRun) {
+    for (const pair of vendorPairs) await refreshBillingIssues(...JSON.parse(pair));
+  }
+
+  return {
+    dry_run: !!dryRun,
+    filters: {
+      user_id: userId || null,
+      vendor: vendor || null,
+      date_from: dateFrom || null,
+      date_to: dateTo || null,
+      invoice_ids: invoiceIds && invoiceIds.length > 0 ? invoiceIds : null,
+      missing_only: !!missingOnly
+    },
+    summary: {
+      invoices: invoices.length,
+      changed: results.filter(r => r.changed).length,
+      failed: errors.length,
+      market_savings_before: round2(totalBefore),
+      market_savings_after: round2(totalAfter),
+      difference: round2(totalAfter - totalBefore)
+    },
+    results,
+    errors
+  };
+}
+
+module.exports = { reprocessInvoices, checkReprocessFilters };
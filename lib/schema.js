@@ -0,0 +1,246 @@
+// JSON schemas for document classification and extraction. Written to the subset OpenAI structured
+// outputs accept in strict mode: every property required, nullables as type
+// unions, no additional properties.
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+const nullableString = { type: ['string', 'null'] };
+const nullableDate = { type: ['string', 'null'], pattern: DATE_PATTERN };
+const nullableNumber = { type: ['number', 'null'] };
+
+function strictObject(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+const CONFIDENCE_SCHEMA = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+const FEES_SCHEMA = strictObject({
+  fuel_surcharge: { type: 'number' },
+  environmental: { type: 'number' },
+  rental_protection: { type: 'number' },
+  transport_surcharge: { type: 'number' },
+  admin_fee: { type: 'number' },
+  other: { type: 'number' }
+});
+
+// Named fee categories, as read by the model; anything else lands in `other`
+const FEE_CATEGORIES = Object.keys(FEES_SCHEMA.properties).filter(category => category !== 'other');
+
+// Where a value was read: the 1-based page number and an approximate box
+// [x, y, width, height] as fractions of the page size, so it can be drawn on
+// the page image at any resolution
+const SOURCE_PROPERTIES = {
+  page: { type: ['integer', 'null'] },
+  bbox: { type: ['array', 'null'], items: { type: 'number' } }
+};
+
+// Confidence and location for a whole line
+const LINE_SOURCE_SCHEMA = strictObject({ confidence: CONFIDENCE_SCHEMA, ...SOURCE_PROPERTIES });
+
+// One entry per header or total field, keyed by the field's name, e.g.
+// "invoice_date" or "fees.environmental"
+const FIELD_SOURCES_SCHEMA = {
+  type: 'array',
+  items: strictObject({ field: { type: 'string' }, confidence: CONFIDENCE_SCHEMA, ...SOURCE_PROPERTIES })
+};
+
+const EQUIPMENT_LINE_SCHEMA = strictObject({
+  description: { type: 'string' },
+  serial_number: nullableString,
+  day_rate: nullableNumber,
+  week_rate: nullableNumber,
+  four_week_rate: nullableNumber,
+  rental_days: { type: ['integer', 'null'] },
+  // null when the line prints no extended amount; it is priced from its rates
+  amount: nullableNumber,
+  meter_out: nullableNumber,
+  meter_in: nullableNumber,
+  meter_charge: nullableNumber,
+  off_rent_date: nullableDate,
+  source: LINE_SOURCE_SCHEMA
+});
+
+const INVOICE_SCHEMA = strictObject({
+  vendor: { type: 'string' },
+  invoice_number: nullableString,
+  invoice_date: nullableDate,
+  billed_from: nullableDate,
+  billed_through: nullableDate,
+  po_number: nullableString,
+  customer_name: nullableString,
+  customer_address: nullableString,
+  job_site: nullableString,
+  equipment: { type: 'array', items: EQUIPMENT_LINE_SCHEMA },
+  rental_subtotal: { type: 'number' },
+  freight: { type: 'number' },
+  meter_charges: { type: 'number' },
+  fees: FEES_SCHEMA,
+  tax: { type: 'number' },
+  total: { type: 'number' },
+  confidence: CONFIDENCE_SCHEMA,
+  field_sources: FIELD_SOURCES_SCHEMA
+});
+
+// Every kind of document users upload. Credit memos use the rental layout
+// plus the invoice they credit; the rest have their own line layout.
+const DOCUMENT_TYPES = ['rental', 'sale', 'service', 'fuel', 'credit_memo', 'statement'];
+
+const CREDIT_MEMO_SCHEMA = strictObject({
+  ...INVOICE_SCHEMA.properties,
+  original_invoice_number: nullableString,
+  credit_reason: nullableString
+});
+
+const CLASSIFICATION_SCHEMA = strictObject({
+  document_type: { type: 'string', enum: DOCUMENT_TYPES },
+  confidence: CONFIDENCE_SCHEMA
+});
+
+const HEADER_PROPERTIES = {
+  vendor: { type: 'string' },
+  invoice_number: nullableString,
+  invoice_date: nullableDate,
+  po_number: nullableString,
+  customer_name: nullableString,
+  customer_address: nullableString,
+  job_site: nullableString
+};
+
+// Sale, service and fuel invoices: the usual header and totals around a list
+// of `line_items`, plus any fields specific to the type
+function lineItemInvoiceSchema(lineItem, extraProperties = {}) {
+  return strictObject({
+    ...HEADER_PROPERTIES,
+    ...extraProperties,
+    line_items: { type: 'array', items: strictObject({ ...lineItem, source: LINE_SOURCE_SCHEMA }) },
+    subtotal: { type: 'number' },
+    freight: { type: 'number' },
+    fees: FEES_SCHEMA,
+    tax: { type: 'number' },
+    total: { type: 'number' },
+    confidence: CONFIDENCE_SCHEMA,
+    field_sources: FIELD_SOURCES_SCHEMA
+  });
+}
+
+const SALE_INVOICE_SCHEMA = lineItemInvoiceSchema({
+  description: { type: 'string' },
+  part_number: nullableString,
+  quantity: nullableNumber,
+  unit: nullableString,
+  unit_price: nullableNumber,
+  amount: { type: 'number' }
+});
+
+const SERVICE_INVOICE_SCHEMA = lineItemInvoiceSchema({
+  description: { type: 'string' },
+  line_type: { type: 'string', enum: ['labor', 'parts', 'travel', 'other'] },
+  quantity: nullableNumber,
+  unit_price: nullableNumber,
+  amount: { type: 'number' }
+}, {
+  work_order: nullableString,
+  equipment_serviced: nullableString,
+  serial_number: nullableString
+});
+
+const FUEL_INVOICE_SCHEMA = lineItemInvoiceSchema({
+  description: { type: 'string' },
+  delivery_date: nullableDate,
+  fuel_type: nullableString,
+  gallons: nullableNumber,
+  price_per_gallon: nullableNumber,
+  amount: { type: 'number' }
+});
+
+const STATEMENT_SCHEMA = strictObject({
+  vendor: { type: 'string' },
+  account_number: nullableString,
+  statement_date: nullableDate,
+  customer_name: nullableString,
+  customer_address: nullableString,
+  entries: {
+    type: 'array',
+    items: strictObject({
+      invoice_number: nullableString,
+      invoice_date: nullableDate,
+      due_date: nullableDate,
+      amount: { type: 'number' },
+      balance: nullableNumber,
+      source: LINE_SOURCE_SCHEMA
+    })
+  },
+  balance_due: { type: 'number' },
+  confidence: CONFIDENCE_SCHEMA,
+  field_sources: FIELD_SOURCES_SCHEMA
+});
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value against the schema subset above. Returns a list of
+// human-readable errors with JSON paths, empty when the value is valid.
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  FEE_CATEGORIES,
+  INVOICE_SCHEMA,
+  EQUIPMENT_LINE_SCHEMA,
+  DOCUMENT_TYPES,
+  CREDIT_MEMO_SCHEMA,
+  CLASSIFICATION_SCHEMA,
+  SALE_INVOICE_SCHEMA,
+  SERVICE_INVOICE_SCHEMA,
+  FUEL_INVOICE_SCHEMA,
+  STATEMENT_SCHEMA,
+  validateSchema
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const supabase = require('../supabase');
+const { createSupabaseStorage } = require('./supabase');
+const { createLocalStorage } = require('./local');
+
+// A storage adapter keeps uploaded source documents by key:
+//
+//   storage.put({ key, buffer, contentType }) -> { error? }
+//   storage.get(key)                          -> { buffer } | { error }
+const ADAPTERS = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage
+};
+
+// The only types a document is stored and served as. Everything else is kept
+// as application/octet-stream, so an uploaded HTML or SVG file is never served
+// back as a page.
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// Leading bytes of each allowed type; the uploader's declared type isn't trusted
+const SIGNATURES = {
+  'application/pdf': buffer => buffer.subarray(0, 4).toString('latin1') === '%PDF',
+  'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': buffer => /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1')),
+  'image/webp': buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+function sniffContentType(buffer) {
+  return Object.keys(SIGNATURES).find(type => SIGNATURES[type](buffer)) || 'application/octet-stream';
+}
+
+let storage = null;
+
+// Selected with DOCUMENT_STORAGE, defaulting to supabase
+function getDocumentStorage() {
+  if (storage) return storage;
+
+  const name = process.env.DOCUMENT_STORAGE || 'supabase';
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown DOCUMENT_STORAGE "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  storage = factory();
+  console.log(`[storage] Using ${storage.name} document storage`);
+  return storage;
+}
+
+// Swap the adapter at runtime, e.g. local storage pointed at a temp directory
+function setDocumentStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Keep an uploaded file under its owner and content hash, so uploading the same
+// file twice stores it once. Returns the parsed_invoices columns that point at it,
+// or { error } when the adapter couldn't store it.
+async function storeSourceDocument({ userId, buffer }) {
+  const contentType = sniffContentType(buffer);
+  const hash = sha256(buffer);
+  const key = `${userId || 'anonymous'}/${hash}${EXTENSIONS[contentType] || ''}`;
+
+  const { error } = await getDocumentStorage().put({ key, buffer, contentType });
+  if (error) return { error };
+
+  return {
+    source_document_path: key,
+    source_document_hash: hash,
+    source_document_type: contentType,
+    source_document_size: buffer.length
+  };
+}
+
+// The stored upload behind one of the user's invoices, checked against its hash
+async function getSourceDocument(userId, invoiceId) {
+  const { data: invoice, error } = await supabase
+    .from('parsed_invoices')
+    .select('id, invoice_number, source_document_path, source_document_hash, source_document_type')
+    .eq('id', invoiceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) return { status: 500, error: error.message };
+  if (!invoice) return { status: 404, error: 'Invoice not found' };
+  if (!invoice.source_document_path) return { status: 404, error: 'No source document stored for this invoice' };
+
+  const stored = await getDocumentStorage().get(invoice.source_document_path);
+  if (stored.error) return { status: 500, error: stored.error };
+  if (sha256(stored.buffer) !== invoice.source_document_hash) {
+    return { status: 500, error: 'Stored document does not match its content hash' };
+  }
+
+  // Rows stored before uploads were sniffed may carry the uploader's type
+  const contentType = EXTENSIONS[invoice.source_document_type] ? invoice.source_document_type : 'application/octet-stream';
+  return {
+    buffer: stored.buffer,
+    contentType,
+    filename: `${(invoice.invoice_number || invoice.id).replace(/[^\w.-]+/g, '_')}${EXTENSIONS[contentType] || ''}`
+  };
+}
+
+module.exports = { getDocumentStorage, setDocumentStorage, storeSourceDocument, getSourceDocument };
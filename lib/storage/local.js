@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'storage', 'documents');
+
+// Files under a local directory, for development without Supabase Storage
+function createLocalStorage({ dir = process.env.DOCUMENT_STORAGE_DIR || DEFAULT_DIR } = {}) {
+  const resolve = key => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid storage key ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put({ key, buffer }) {
+      try {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+        return {};
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+
+    async get(key) {
+      try {
+        return { buffer: await fs.promises.readFile(resolve(key)) };
+      } catch (err) {
+        return { error: err.code === 'ENOENT' ? 'Stored document not found' : err.message };
+      }
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
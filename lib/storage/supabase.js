@@ -0,0 +1,25 @@
+const BUCKET = process.env.DOCUMENT_STORAGE_BUCKET || 'invoice-documents';
+
+// Files in a private Supabase Storage bucket
+function createSupabaseStorage({ bucket = BUCKET } = {}) {
+  const supabase = require('../supabase');
+
+  return {
+    name: 'supabase',
+
+    async put({ key, buffer, contentType }) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: true });
+      return error ? { error: error.message } : {};
+    },
+
+    async get(key) {
+      const { data, error } = await supabase.storage.from(bucket).download(key);
+      if (error) return { error: error.message };
+      return { buffer: Buffer.from(await data.arrayBuffer()) };
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,134 @@
+const { registerTool, getTool, toolDefinitions, runToolCalls } = require('./registry');
+const { searchInvoices, getInvoiceDetails, getSavingsSummary } = require('../invoices');
+const { saveGiveawayEntry } = require('../giveaway');
+const { getSpendAnalytics, DIMENSIONS } = require('../analytics');
+const { getBillingIssues } = require('../overlaps');
+
+// Tools act for the authenticated user only. Any user_id the assistant passes
+// in its arguments is ignored.
+
+registerTool({
+  name: 'search_invoices',
+  description: "Search the user's parsed invoices by free text and optional vendor/date filters.",
+  statusMessage: 'Searching your invoices…',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: ['string', 'null'], description: 'Matches invoice number, PO, job site, vendor or customer' },
+      filters: {
+        type: ['object', 'null'],
+        properties: {
+          vendor: { type: ['string', 'null'] },
+          date_from: { type: ['string', 'null'], description: 'YYYY-MM-DD' },
+          date_to: { type: ['string', 'null'], description: 'YYYY-MM-DD' }
+        }
+      }
+    }
+  },
+  handler: (args, { userId }) => searchInvoices(userId, args.query, args.filters || {})
+});
+
+registerTool({
+  name: 'get_invoice_details',
+  description: 'Get every stored field for one of the user\'s invoices.',
+  statusMessage: 'Pulling up invoice details…',
+  parameters: {
+    type: 'object',
+    properties: {
+      invoice_id: { type: ['string', 'integer'] }
+    },
+    required: ['invoice_id']
+  },
+  handler: (args, { userId }) => getInvoiceDetails(userId, args.invoice_id)
+});
+
+registerTool({
+  name: 'get_savings_summary',
+  description: 'Totals for spend, fees and potential savings, net of credit memos, with the top savings opportunities.',
+  statusMessage: 'Crunching your savings…',
+  parameters: {
+    type: 'object',
+    properties: {
+      date_range: {
+        type: ['object', 'null'],
+        properties: {
+          from: { type: ['string', 'null'], description: 'YYYY-MM-DD' },
+          to: { type: ['string', 'null'], description: 'YYYY-MM-DD' }
+        }
+      }
+    }
+  },
+  handler: (args, { userId }) => getSavingsSummary(userId, args.date_range || {})
+});
+
+registerTool({
+  name: 'get_spend_analytics',
+  description: 'Break down spend, fees and savings by vendor, month, job site and fee category, with monthly fee trends.',
+  statusMessage: 'Analyzing your spend…',
+  parameters: {
+    type: 'object',
+    properties: {
+      date_range: {
+        type: ['object', 'null'],
+        properties: {
+          from: { type: ['string', 'null'], description: 'YYYY-MM-DD' },
+          to: { type: ['string', 'null'], description: 'YYYY-MM-DD' }
+        }
+      },
+      vendor: { type: ['string', 'null'] },
+      group_by: {
+        type: ['array', 'null'],
+        description: 'Breakdowns to include; all when omitted',
+        items: { type: 'string', enum: DIMENSIONS }
+      }
+    }
+  },
+  handler: (args, { userId }) => getSpendAnalytics(userId, {
+    from: args.date_range?.from,
+    to: args.date_range?.to,
+    vendor: args.vendor,
+    groupBy: args.group_by
+  })
+});
+
+registerTool({
+  name: 'get_billing_issues',
+  description: 'Find equipment billed twice over overlapping periods, gaps between billing cycles, and billing after an off-rent date.',
+  statusMessage: 'Checking billing periods…',
+  parameters: {
+    type: 'object',
+    properties: {
+      vendor: { type: ['string', 'null'] },
+      serial_number: { type: ['string', 'null'] },
+      type: { type: ['string', 'null'], enum: ['overlap', 'gap', 'billed_after_off_rent', null] }
+    }
+  },
+  handler: (args, { userId }) => getBillingIssues(userId, {
+    vendor: args.vendor,
+    serialNumber: args.serial_number,
+    type: args.type
+  })
+});
+
+registerTool({
+  name: 'save_giveaway_entry',
+  description: 'Enter an email address into the giveaway drawing.',
+  auth: 'any',
+  statusMessage: 'Saving your giveaway entry…',
+  parameters: {
+    type: 'object',
+    properties: {
+      email: { type: 'string' },
+      prize_vote: { type: ['string', 'null'] }
+    },
+    required: ['email']
+  },
+  handler: (args, { ipAddress }) => saveGiveawayEntry(args.email, args.prize_vote, ipAddress)
+});
+
+function toolStatusMessage(name) {
+  const tool = getTool(name);
+  return (tool && tool.statusMessage) || 'Working…';
+}
+
+module.exports = { runToolCalls, toolDefinitions, toolStatusMessage };
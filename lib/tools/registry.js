@@ -0,0 +1,73 @@
+const { validateSchema } = require('../schema');
+
+const tools = new Map();
+
+// Register a tool the assistant can call.
+//   name           function name the assistant uses
+//   description    shown to the model
+//   parameters     JSON schema for the arguments, checked before the handler runs
+//   auth           'user' (logged-in dashboard only) or 'any' (landing page too)
+//   statusMessage  short progress text shown while the tool runs
+//   handler        async (args, { userId, ipAddress }) => result
+function registerTool({ name, description, parameters, auth = 'user', statusMessage, handler }) {
+  if (tools.has(name)) throw new Error(`Tool "${name}" is already registered`);
+  tools.set(name, { name, description, parameters, auth, statusMessage, handler });
+}
+
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+// Function definitions in the shape the assistant configuration expects
+function toolDefinitions() {
+  return [...tools.values()].map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+function toolError(code, message, details) {
+  return { error: { code, message, ...(details ? { details } : {}) } };
+}
+
+// Run one tool call. Always produces an output, so the assistant gets a
+// structured error back instead of the run stalling.
+async function runToolCall(toolCall, ctx) {
+  const name = toolCall.function.name;
+  const respond = result => ({ tool_call_id: toolCall.id, output: JSON.stringify(result) });
+
+  const tool = getTool(name);
+  if (!tool) return respond(toolError('unknown_tool', `No tool named "${name}"`));
+
+  let args;
+  try {
+    args = JSON.parse(toolCall.function.arguments || '{}');
+  } catch (err) {
+    return respond(toolError('invalid_arguments', 'Arguments are not valid JSON'));
+  }
+
+  const errors = validateSchema(args, tool.parameters);
+  if (errors.length > 0) return respond(toolError('invalid_arguments', 'Arguments do not match the tool schema', errors));
+
+  if (tool.auth === 'user' && !ctx.userId) {
+    return respond(toolError('unauthorized', 'The user must be logged in to use this tool'));
+  }
+
+  try {
+    return respond(await tool.handler(args, ctx));
+  } catch (err) {
+    console.error(`[tools] ${name} failed:`, err);
+    return respond(toolError('tool_failed', err.message));
+  }
+}
+
+async function runToolCalls(toolCalls, ctx) {
+  const toolOutputs = [];
+  for (const toolCall of toolCalls) {
+    console.log('[tools] Tool call:', toolCall.function.name);
+    toolOutputs.push(await runToolCall(toolCall, ctx));
+  }
+  return toolOutputs;
+}
+
+module.exports = { registerTool, getTool, toolDefinitions, runToolCall, runToolCalls };
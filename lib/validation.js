@@ -0,0 +1,130 @@
+// Differences within a dollar or half a percent are treated as rounding
+const ABSOLUTE_TOLERANCE = 1.0;
+const RELATIVE_TOLERANCE = 0.005;
+
+// Past this share of the expected figure a mismatch is an error, not a warning
+const ERROR_THRESHOLD = 0.05;
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function compare(check, expected, actual, message) {
+  const difference = round2(actual - expected);
+  const allowed = Math.max(ABSOLUTE_TOLERANCE, Math.abs(expected) * RELATIVE_TOLERANCE);
+  if (Math.abs(difference) <= allowed) return null;
+
+  const share = expected !== 0 ? Math.abs(difference) / Math.abs(expected) : 1;
+  return {
+    check,
+    severity: share > ERROR_THRESHOLD ? 'error' : 'warning',
+    expected: round2(expected),
+    actual: round2(actual),
+    difference,
+    message
+  };
+}
+
+// Check that the extracted figures tie out. `otherFees` must exclude meter
+// charges, which are passed separately. Sale, service and fuel invoices pass
+// their subtotal and line items with `subtotalField: 'subtotal'`.
+function reconcileInvoice({ rentalSubtotal, freight, otherFees, meterCharges, tax, total, equipment, subtotalField = 'rental_subtotal' }) {
+  const checks = [];
+  const discrepancies = [];
+  const lineLabel = subtotalField === 'rental_subtotal' ? 'Equipment line' : 'Line item';
+
+  const amounts = (equipment || [])
+    .map(item => parseFloat(item.amount))
+    .filter(n => !isNaN(n));
+
+  if (amounts.length > 0 && rentalSubtotal) {
+    checks.push('equipment_vs_subtotal');
+    const equipmentSum = amounts.reduce((sum, n) => sum + n, 0);
+    const result = compare('equipment_vs_subtotal', rentalSubtotal, equipmentSum,
+      `${lineLabel} amounts do not add up to ${subtotalField}`);
+    if (result) discrepancies.push(result);
+  }
+
+  if (total) {
+    checks.push('components_vs_total');
+    const components = (rentalSubtotal || 0) + (freight || 0) + (otherFees || 0) + (meterCharges || 0) + (tax || 0);
+    const result = compare('components_vs_total', total, components,
+      `${subtotalField} + freight + fees + meter_charges + tax does not equal total`);
+    if (result) discrepancies.push(result);
+  } else {
+    discrepancies.push({ check: 'components_vs_total', severity: 'warning', message: 'Invoice total is missing' });
+  }
+
+  return {
+    passed: discrepancies.length === 0,
+    checks,
+    discrepancies
+  };
+}
+
+// A statement's entries should add up to its balance due. Entries without an
+// open balance count at their full amount.
+function reconcileStatement({ entries, balanceDue }) {
+  const checks = [];
+  const discrepancies = [];
+
+  if ((entries || []).length > 0) {
+    checks.push('entries_vs_balance');
+    const entriesSum = entries.reduce((sum, entry) => sum + (parseFloat(entry.balance ?? entry.amount) || 0), 0);
+    const result = compare('entries_vs_balance', balanceDue, entriesSum,
+      'Statement entries do not add up to balance_due');
+    if (result) discrepancies.push(result);
+  }
+
+  return {
+    passed: discrepancies.length === 0,
+    checks,
+    discrepancies
+  };
+}
+
+// Any error drops confidence to low; warnings drop it one level
+function adjustConfidence(confidence, report) {
+  if (!report || report.passed) return confidence || null;
+  const current = CONFIDENCE_LEVELS.includes(confidence) ? confidence : 'medium';
+
+  if (report.discrepancies.some(d => d.severity === 'error')) return 'low';
+  return CONFIDENCE_LEVELS[Math.max(0, CONFIDENCE_LEVELS.indexOf(current) - 1)];
+}
+
+// Flag a document that was cut off at MAX_PDF_PAGES. Charges on the unread
+// pages are missing from every figure, so it fails as an error.
+function notePageLimit(report, pagesRead, pageCount) {
+  if (!pageCount || pagesRead >= pageCount) return report;
+  return {
+    ...report,
+    passed: false,
+    discrepancies: [...report.discrepancies, {
+      check: 'page_limit',
+      severity: 'error',
+      pages_read: pagesRead,
+      page_count: pageCount,
+      message: `Only the first ${pagesRead} of ${pageCount} pages were read; raise MAX_PDF_PAGES to read the rest`
+    }]
+  };
+}
+
+// Fields and lines the model was least sure of, for a reviewer to check against
+// the source document: "invoice_date", "fees.environmental", "equipment[2]"
+function lowConfidenceFields(parsed) {
+  const fields = (parsed.field_sources || [])
+    .filter(source => source.confidence === 'low')
+    .map(source => source.field);
+
+  for (const list of ['equipment', 'line_items', 'entries']) {
+    (parsed[list] || []).forEach((row, index) => {
+      if (row.source && row.source.confidence === 'low') fields.push(`${list}[${index}]`);
+    });
+  }
+
+  return fields;
+}
+
+module.exports = { reconcileInvoice, reconcileStatement, adjustConfidence, lowConfidenceFields, notePageLimit };
@@ -0,0 +1,306 @@
+const supabase = require('./supabase');
+
+// Registered vendors are re-read after this long, or right after an edit here
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Scores at or above this match a vendor outright; between the two the closest
+// vendor is suggested when the name is queued for review
+const MATCH_THRESHOLD = 0.85;
+const SUGGEST_THRESHOLD = 0.6;
+
+const CORPORATE_SUFFIXES = ['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'co', 'corp', 'corporation', 'company', 'the'];
+
+// Words too common among vendors to tell them apart
+const GENERIC_TOKENS = ['rental', 'rentals', 'rent', 'rents', 'equipment', 'supply', 'services', 'service', 'group', 'and'];
+
+// Used for vendors missing from the registry until someone reviews them
+const RENTAL_NAME_PATTERN = /\brent(s|al|als)?\b/i;
+
+let cache = null;
+
+// "United Rentals (North America), Inc. #412" -> "united rentals"
+function cleanVendorName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/#\s*\d+/g, ' ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !CORPORATE_SUFFIXES.includes(token) && !/^\d+$/.test(token))
+    .join(' ');
+}
+
+function slugify(name) {
+  return cleanVendorName(name).replace(/ /g, '-') || null;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function distinctiveTokens(name) {
+  return name.split(' ').filter(token => token && !GENERIC_TOKENS.includes(token));
+}
+
+// 1 for the same cleaned name. Otherwise the better of edit-distance similarity
+// of the distinctive words and a word score: when every distinctive word of the known name appears in the
+// parsed one, 0.5 plus up to 0.4 for how few other distinctive words there are.
+// "sunbelt" scores 0.9 against "Sunbelt", "united site" only 0.7 against "United".
+function similarity(parsed, known) {
+  if (!parsed || !known) return 0;
+  if (parsed === known) return 1;
+
+  const knownTokens = new Set(distinctiveTokens(known));
+  const parsedTokens = new Set(distinctiveTokens(parsed));
+  const a = [...parsedTokens].join(' ') || parsed;
+  const b = [...knownTokens].join(' ') || known;
+  const editScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const contained = knownTokens.size > 0 && [...knownTokens].every(token => parsedTokens.has(token));
+  const tokenScore = contained ? 0.5 + 0.4 * (knownTokens.size / new Set([...knownTokens, ...parsedTokens]).size) : 0;
+
+  return Math.max(editScore, tokenScore);
+}
+
+async function loadVendors() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.vendors;
+
+  const { data, error } = await supabase.from('vendors').select('*');
+  if (error) {
+    console.log('Could not load vendor registry:', error.message);
+    return cache ? cache.vendors : [];
+  }
+
+  cache = { loadedAt: Date.now(), vendors: data || [] };
+  return cache.vendors;
+}
+
+function invalidateVendorCache() {
+  cache = null;
+}
+
+// Best registry match for a parsed vendor name, scored against the canonical
+// name and every alias
+function bestMatch(vendors, cleaned) {
+  let best = null;
+  for (const vendor of vendors) {
+    for (const name of [vendor.canonical_name, ...(vendor.aliases || [])]) {
+      const score = similarity(cleaned, cleanVendorName(name));
+      if (!best || score > best.score) best = { vendor, score, matchedName: name };
+    }
+  }
+  return best;
+}
+
+// Match a parsed vendor name to the registry. Returns the fields stored on the
+// invoice plus the match score; unknown vendors keep their own cleaned name and
+// carry `suggestion` for the review queue.
+async function resolveVendor(vendorName) {
+  const cleaned = cleanVendorName(vendorName);
+  if (!cleaned) {
+    return { vendorId: null, canonicalName: null, vendorNormalized: null, isRental: false, matched: false, score: 0 };
+  }
+
+  const match = bestMatch(await loadVendors(), cleaned);
+  if (match && match.score >= MATCH_THRESHOLD) {
+    return {
+      vendorId: match.vendor.id,
+      canonicalName: match.vendor.canonical_name,
+      vendorNormalized: match.vendor.slug,
+      isRental: !!match.vendor.is_rental,
+      matched: true,
+      score: Math.round(match.score * 100) / 100
+    };
+  }
+
+  return {
+    vendorId: null,
+    canonicalName: null,
+    vendorNormalized: slugify(vendorName),
+    isRental: RENTAL_NAME_PATTERN.test(vendorName),
+    matched: false,
+    score: match ? Math.round(match.score * 100) / 100 : 0,
+    suggestion: match && match.score >= SUGGEST_THRESHOLD
+      ? { vendor_id: match.vendor.id, canonical_name: match.vendor.canonical_name, score: Math.round(match.score * 100) / 100 }
+      : null
+  };
+}
+
+// Record an unmatched vendor name for review; repeats of a pending name are counted
+async function queueVendorForReview({ vendorName, userId, invoiceId, suggestion }) {
+  const normalizedName = cleanVendorName(vendorName);
+  if (!normalizedName) return;
+
+  const { data: existing } = await supabase
+    .from('vendor_review_queue')
+    .select('id, occurrences')
+    .eq('normalized_name', normalizedName)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  const now = new Date().toISOString();
+  const { error } = existing
+    ? await supabase
+      .from('vendor_review_queue')
+      .update({ occurrences: (existing.occurrences || 1) + 1, last_invoice_id: invoiceId || null, last_seen_at: now })
+      .eq('id', existing.id)
+    : await supabase.from('vendor_review_queue').insert({
+      raw_name: vendorName,
+      normalized_name: normalizedName,
+      user_id: userId || null,
+      last_invoice_id: invoiceId || null,
+      suggested_vendor_id: suggestion ? suggestion.vendor_id : null,
+      suggestion_score: suggestion ? suggestion.score : null,
+      status: 'pending',
+      occurrences: 1,
+      first_seen_at: now,
+      last_seen_at: now
+    });
+  if (error) console.log('Could not queue vendor for review:', error.message);
+}
+
+// Invoice columns for a resolved vendor
+function vendorFields(vendor) {
+  return {
+    vendor_id: vendor.vendorId,
+    vendor_canonical: vendor.canonicalName,
+    vendor_normalized: vendor.vendorNormalized,
+    is_equipment_rental: vendor.isRental
+  };
+}
+
+async function listVendors() {
+  const { data, error } = await supabase.from('vendors').select('*').order('canonical_name');
+  if (error) return { error: error.message };
+  return { vendors: data || [] };
+}
+
+function vendorRecord(input) {
+  const record = {};
+  if (input.canonical_name !== undefined) {
+    record.canonical_name = input.canonical_name;
+    record.slug = slugify(input.canonical_name);
+  }
+  if (input.aliases !== undefined) record.aliases = input.aliases;
+  if (input.addresses !== undefined) record.addresses = input.addresses;
+  if (input.is_rental !== undefined) record.is_rental = !!input.is_rental;
+  return record;
+}
+
+function checkVendorInput(input, { creating }) {
+  if (creating && (!input.canonical_name || typeof input.canonical_name !== 'string')) return 'canonical_name is required';
+  if (input.canonical_name !== undefined && !slugify(input.canonical_name)) return 'canonical_name must contain letters or digits';
+  if (input.aliases !== undefined && (!Array.isArray(input.aliases) || input.aliases.some(a => typeof a !== 'string'))) {
+    return 'aliases must be an array of strings';
+  }
+  // [{ type: 'branch' | 'remit', address }]
+  if (input.addresses !== undefined && (!Array.isArray(input.addresses) ||
+      input.addresses.some(a => !a || !['branch', 'remit'].includes(a.type) || typeof a.address !== 'string'))) {
+    return 'addresses must be an array of { type: "branch" | "remit", address }';
+  }
+  return null;
+}
+
+async function createVendor(input) {
+  const invalid = checkVendorInput(input, { creating: true });
+  if (invalid) return { status: 400, error: invalid };
+
+  const { data, error } = await supabase
+    .from('vendors')
+    .insert({ aliases: [], addresses: [], is_rental: false, ...vendorRecord(input) })
+    .select()
+    .single();
+  if (error) return { status: 500, error: error.message };
+
+  invalidateVendorCache();
+  return { vendor: data };
+}
+
+async function updateVendor(vendorId, input) {
+  const invalid = checkVendorInput(input, { creating: false });
+  if (invalid) return { status: 400, error: invalid };
+
+  const { data, error } = await supabase
+    .from('vendors')
+    .update({ ...vendorRecord(input), updated_at: new Date().toISOString() })
+    .eq('id', vendorId)
+    .select()
+    .maybeSingle();
+  if (error) return { status: 500, error: error.message };
+  if (!data) return { status: 404, error: 'Vendor not found' };
+
+  invalidateVendorCache();
+  return { vendor: data };
+}
+
+async function listVendorReviews(status = 'pending') {
+  const { data, error } = await supabase
+    .from('vendor_review_queue')
+    .select('*')
+    .eq('status', status)
+    .order('occurrences', { ascending: false });
+  if (error) return { error: error.message };
+  return { reviews: data || [] };
+}
+
+// Settle a queued name: add it as an alias of an existing vendor (`vendorId`),
+// register it as a new vendor (`create`), or mark it ignored. Invoices already
+// stored under the name pick up the vendor when reprocessed.
+async function resolveVendorReview(reviewId, { vendorId, create, ignore }) {
+  const { data: review, error } = await supabase
+    .from('vendor_review_queue')
+    .select('*')
+    .eq('id', reviewId)
+    .maybeSingle();
+  if (error) return { status: 500, error: error.message };
+  if (!review) return { status: 404, error: 'Review not found' };
+  if (review.status !== 'pending') return { status: 409, error: `Review already ${review.status}` };
+
+  let vendor = null;
+  if (ignore) {
+    // nothing to register
+  } else if (vendorId) {
+    const { data: existing, error: vendorError } = await supabase.from('vendors').select('*').eq('id', vendorId).maybeSingle();
+    if (vendorError) return { status: 500, error: vendorError.message };
+    if (!existing) return { status: 404, error: 'Vendor not found' };
+
+    const aliases = [...new Set([...(existing.aliases || []), review.raw_name])];
+    const updated = await updateVendor(vendorId, { aliases });
+    if (updated.error) return updated;
+    vendor = updated.vendor;
+  } else if (create) {
+    const created = await createVendor({ canonical_name: review.raw_name, ...create });
+    if (created.error) return created;
+    vendor = created.vendor;
+  } else {
+    return { status: 400, error: 'Give vendor_id, create or ignore' };
+  }
+
+  const { error: updateError } = await supabase
+    .from('vendor_review_queue')
+    .update({ status: ignore ? 'ignored' : 'resolved', resolved_vendor_id: vendor ? vendor.id : null, resolved_at: new Date().toISOString() })
+    .eq('id', reviewId);
+  if (updateError) return { status: 500, error: updateError.message };
+
+  return { vendor };
+}
+
+module.exports = {
+  cleanVendorName,
+  resolveVendor,
+  vendorFields,
+  queueVendorForReview,
+  listVendors,
+  createVendor,
+  updateVendor,
+  listVendorReviews,
+  resolveVendorReview
+};
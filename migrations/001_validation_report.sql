@@ -0,0 +1,2 @@
+-- Arithmetic reconciliation results for each parsed invoice
+alter table parsed_invoices add column if not exists validation_report jsonb;
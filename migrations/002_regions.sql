@@ -0,0 +1,9 @@
+-- Rate region each invoice's savings were calculated against
+alter table parsed_invoices add column if not exists region text;
+
+-- Per-user fallback region when an invoice has no usable address
+create table if not exists user_settings (
+  user_id uuid primary key,
+  default_region text,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,10 @@
+-- Model responses that failed schema validation, kept for prompt tuning
+create table if not exists extraction_rejections (
+  id uuid primary key default gen_random_uuid(),
+  model text,
+  attempt integer,
+  page_numbers integer[],
+  errors jsonb,
+  content text,
+  created_at timestamptz not null default now()
+);
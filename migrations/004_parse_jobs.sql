@@ -0,0 +1,18 @@
+-- Background parse jobs polled through GET /parse-jobs/:id
+create table if not exists parse_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid,
+  status text not null default 'queued',
+  stage text,
+  progress integer not null default 0,
+  input jsonb,
+  invoice_id uuid,
+  result jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists parse_jobs_status_idx on parse_jobs (status, created_at);
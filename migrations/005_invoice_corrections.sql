@@ -0,0 +1,17 @@
+-- Manual corrections made through PATCH /invoices/:id
+alter table parsed_invoices add column if not exists last_corrected_at timestamptz;
+alter table parsed_invoices add column if not exists last_corrected_by uuid;
+
+create table if not exists invoice_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null,
+  user_id uuid,
+  action text not null,
+  changes jsonb not null default '[]'::jsonb,
+  note text,
+  market_savings_before numeric,
+  market_savings_after numeric,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_audit_log_invoice_idx on invoice_audit_log (invoice_id, created_at);
@@ -0,0 +1,2 @@
+-- Per-line meter-hour overage analysis, see lib/meters.js
+alter table parsed_invoices add column if not exists meter_analysis jsonb;
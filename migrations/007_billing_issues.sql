@@ -0,0 +1,4 @@
+-- Overlapping, gapped or post-off-rent billing found by lib/overlaps.js
+alter table parsed_invoices add column if not exists billing_issues jsonb;
+
+create index if not exists parsed_invoices_user_vendor_idx on parsed_invoices (user_id, vendor_normalized);
@@ -0,0 +1,50 @@
+-- Canonical vendors that parsed vendor names are matched against (lib/vendors.js)
+create table if not exists vendors (
+  id uuid primary key default gen_random_uuid(),
+  canonical_name text not null,
+  slug text not null unique,
+  aliases text[] not null default '{}',
+  -- [{ "type": "branch" | "remit", "address": "..." }]
+  addresses jsonb not null default '[]'::jsonb,
+  is_rental boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Parsed vendor names that matched no registered vendor
+create table if not exists vendor_review_queue (
+  id uuid primary key default gen_random_uuid(),
+  raw_name text not null,
+  normalized_name text not null,
+  user_id uuid,
+  last_invoice_id uuid,
+  suggested_vendor_id uuid references vendors (id),
+  suggestion_score numeric,
+  status text not null default 'pending',
+  resolved_vendor_id uuid references vendors (id),
+  occurrences integer not null default 1,
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+
+create unique index if not exists vendor_review_queue_pending_idx
+  on vendor_review_queue (normalized_name) where status = 'pending';
+
+alter table parsed_invoices add column if not exists vendor_id uuid references vendors (id);
+alter table parsed_invoices add column if not exists vendor_canonical text;
+
+-- The vendors the old keyword list recognised as rental companies
+insert into vendors (canonical_name, slug, aliases, is_rental) values
+  ('Herc Rentals', 'herc-rentals', array['HERC', 'Hertz Equipment Rental'], true),
+  ('Sunbelt Rentals', 'sunbelt-rentals', array['Sunbelt'], true),
+  ('United Rentals', 'united-rentals', array['United Rentals (North America)'], true),
+  ('Ohio CAT', 'ohio-cat', array[]::text[], true),
+  ('Admar Supply', 'admar-supply', array['Admar'], true),
+  ('Skyworks', 'skyworks', array[]::text[], true),
+  ('Caterpillar', 'caterpillar', array[]::text[], true),
+  ('Leppo', 'leppo', array['Leppo Rents'], true)
+on conflict (slug) do nothing;
+
+-- Existing invoices keep their first-word vendor_normalized until re-matched:
+--   node reprocess-invoices.js --all
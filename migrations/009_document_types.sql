@@ -0,0 +1,9 @@
+-- Document classification, see lib/documents.js. invoice_type now holds the
+-- classified type: equipment_rental, sale, service, fuel, credit_memo or statement
+alter table parsed_invoices add column if not exists document_classification jsonb;
+
+-- Sale, service and fuel invoices: their subtotal and lines (statements keep their entries here)
+alter table parsed_invoices add column if not exists subtotal numeric;
+alter table parsed_invoices add column if not exists line_items jsonb;
+
+create index if not exists parsed_invoices_invoice_type_idx on parsed_invoices (user_id, invoice_type);
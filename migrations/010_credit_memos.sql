@@ -0,0 +1,6 @@
+-- Credit memos (invoice_type 'credit_memo') are stored with negative amounts and
+-- linked to the invoice they credit, see lib/credits.js
+alter table parsed_invoices add column if not exists original_invoice_number text;
+alter table parsed_invoices add column if not exists credited_invoice_id uuid references parsed_invoices (id) on delete set null;
+
+create index if not exists parsed_invoices_credited_invoice_idx on parsed_invoices (credited_invoice_id);
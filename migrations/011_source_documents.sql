@@ -0,0 +1,9 @@
+-- Uploaded files kept by lib/storage, keyed by owner and sha256 of the content.
+-- With DOCUMENT_STORAGE=supabase, create a private bucket named by
+-- DOCUMENT_STORAGE_BUCKET (default invoice-documents) first.
+alter table parsed_invoices add column if not exists source_document_path text;
+alter table parsed_invoices add column if not exists source_document_hash text;
+alter table parsed_invoices add column if not exists source_document_type text;
+alter table parsed_invoices add column if not exists source_document_size integer;
+
+create index if not exists parsed_invoices_source_document_hash_idx on parsed_invoices (source_document_hash);
@@ -0,0 +1,3 @@
+-- Fields and lines extracted with low confidence, e.g. ["invoice_date", "equipment[2]"].
+-- Per-field confidence and page/bbox locations stay in raw_response.
+alter table parsed_invoices add column if not exists review_fields jsonb;
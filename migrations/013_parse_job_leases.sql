@@ -0,0 +1,31 @@
+-- Parse jobs are claimed with a lease so only one worker runs each job. A job
+-- whose lease runs out (its worker crashed or was frozen) can be claimed again.
+alter table parse_jobs add column if not exists lease_token uuid;
+alter table parse_jobs add column if not exists lease_expires_at timestamptz;
+alter table parse_jobs add column if not exists attempts integer not null default 0;
+
+-- Claim the oldest runnable job for p_lease_seconds. Returns no row when there
+-- is nothing to do. skip locked keeps concurrent claims from waiting on each other.
+create or replace function claim_parse_job(p_lease_seconds integer)
+returns setof parse_jobs
+language sql
+as $$
+  update parse_jobs
+  set status = 'processing',
+      lease_token = gen_random_uuid(),
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      attempts = attempts + 1,
+      started_at = coalesce(started_at, now()),
+      updated_at = now()
+  where id = (
+    select id from parse_jobs
+    where status = 'queued'
+       or (status = 'processing' and (lease_expires_at is null or lease_expires_at < now()))
+    order by created_at
+    limit 1
+    for update skip locked
+  )
+  returning *;
+$$;
+
+create index if not exists parse_jobs_lease_idx on parse_jobs (status, lease_expires_at);
@@ -0,0 +1,3 @@
+-- parse_jobs also runs reprocessing requested through POST /invoices/reprocess.
+-- kind picks the handler; input holds its options.
+alter table parse_jobs add column if not exists kind text not null default 'parse';
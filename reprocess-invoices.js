@@ -0,0 +1,96 @@
+require('dotenv').config();
+const { reprocessInvoices } = require('./lib/reprocess');
+
+// Recompute market savings for stored invoices using the live parsing logic:
+//
+//   node reprocess-invoices.js --missing                 invoices with no savings yet
+//   node reprocess-invoices.js --user <id> --vendor sunbelt --from 2024-01-01 --to 2024-06-30
+//   node reprocess-invoices.js --id <invoice-id> [--id <invoice-id> ...]
+//   node reprocess-invoices.js --all --dry-run           report what would change, write nothing
+//
+// Prints a before/after line per invoice and a summary at the end.
+const VALUE_OPTIONS = ['--user', '--vendor', '--from', '--to', '--id'];
+
+function parseArgs(args) {
+  const options = { invoiceIds: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (VALUE_OPTIONS.includes(arg) && (args[i + 1] === undefined || args[i + 1].startsWith('--'))) {
+      throw new Error(`${arg} needs a value`);
+    }
+    switch (arg) {
+      case '--user': options.userId = args[++i]; break;
+      case '--vendor': options.vendor = args[++i]; break;
+      case '--from': options.dateFrom = args[++i]; break;
+      case '--to': options.dateTo = args[++i]; break;
+      case '--id': options.invoiceIds.push(args[++i]); break;
+      case '--missing': options.missingOnly = true; break;
+      case '--all': options.all = true; break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--json': options.json = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+function money(value) {
+  return value === null ? '-' : `$${value.toFixed(2)}`;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: node reprocess-invoices.js [--user <id>] [--vendor <name>] [--from <date>] [--to <date>] [--id <invoice-id>] [--missing] [--all] [--dry-run] [--json]');
+    process.exit(1);
+  }
+
+  // Keep stdout to the JSON report; the banner and pipeline logging go to stderr
+  if (options.json) console.log = console.error;
+
+  console.log(`=== REPROCESSING INVOICES${options.dryRun ? ' (DRY RUN)' : ''} ===\n`);
+
+  const report = await reprocessInvoices({
+    ...options,
+    onInvoice: options.json ? null : (invoice, index, count) => {
+      console.log(`[${index + 1}/${count}] ${invoice.id} ${invoice.vendor_name || 'Unknown vendor'} #${invoice.invoice_number || '-'}`);
+    }
+  });
+
+  if (report.error) {
+    console.error('ERROR:', report.error);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return;
+  }
+
+  console.log('');
+  for (const result of report.results.filter(r => r.changed)) {
+    console.log(`${result.id}  ${money(result.before.market_savings)} -> ${money(result.after.market_savings)}  (${result.difference >= 0 ? '+' : ''}${result.difference.toFixed(2)})`);
+    if (result.before.vendor_normalized !== result.after.vendor_normalized) {
+      console.log(`    vendor: ${result.before.vendor_normalized || '-'} -> ${result.after.vendor_normalized || '-'}`);
+    }
+    if (result.before.region !== result.after.region) {
+      console.log(`    region: ${result.before.region || '-'} -> ${result.after.region}`);
+    }
+    for (const line of result.lines) {
+      console.log(`    ${line.description}: overpaid ${line.before.total_overpaid ?? '-'} -> ${line.after.total_overpaid ?? '-'}`);
+    }
+  }
+  for (const failure of report.errors) {
+    console.log(`FAILED ${failure.id}: ${failure.error}`);
+  }
+
+  const { summary } = report;
+  console.log(`\n${summary.invoices} invoices, ${summary.changed} changed, ${summary.failed} failed`);
+  console.log(`Market savings: ${money(summary.market_savings_before)} -> ${money(summary.market_savings_after)}`);
+  console.log(options.dryRun ? '\n=== DRY RUN - nothing was written ===' : '\n=== DONE ===');
+}
+
+main();
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const { signToken } = require('./lib/auth');
+
+// Sign a local access token for calling authenticated routes in development:
+//
+//   node sign-test-token.js <user-id> [--admin] [--email someone@example.com] [--expires 2h]
+//   curl -H "Authorization: Bearer $(node sign-test-token.js <user-id>)" localhost:3001/search-invoices
+//
+// Uses SUPABASE_JWT_SECRET, so point it at a local or test project secret.
+function main() {
+  const args = process.argv.slice(2);
+  const userId = args.find(a => !a.startsWith('--') && !isOptionValue(args, a));
+  if (!userId) {
+    console.error('Usage: node sign-test-token.js <user-id> [--admin] [--email <email>] [--expires <duration>]');
+    process.exit(1);
+  }
+
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const token = signToken({
+    userId,
+    email: option('--email'),
+    roles: args.includes('--admin') ? ['admin'] : [],
+    expiresIn: option('--expires') || '1h'
+  });
+
+  console.log(token);
+}
+
+function isOptionValue(args, value) {
+  const index = args.indexOf(value);
+  return index > 0 && ['--email', '--expires'].includes(args[index - 1]);
+}
+
+main();